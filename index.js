@@ -1,725 +1,66 @@
 // ============================================================================
-// Statusio • Stremio Add-on (TV-Compatible v1.1.26)
-// Change: description = ONLY the per-field lines (no footer/thank-you/etc.)
-// Pattern: Ratings Aggregator–style (simple text, includes url + externalUrl)
+// Statusio • Server entry point
+// Wires the add-on (lib/addon.js) into the HTTP app (lib/server.js) with the
+// ENV-configured cache, starts listening and the optional expiry notifier.
+// Everything imported here is side-effect free; this file is the only one
+// that opens a port or installs signal handlers.
 // ============================================================================
 
-import sdk from "stremio-addon-sdk";
-const { addonBuilder, serveHTTP } = sdk;
-import fetch from "node-fetch";
-
-// ----------------------------- Icon ----------------------------------------
-const LOGO_URL =
-  "https://raw.githubusercontent.com/ARandomAddonDev/Statusio/refs/heads/main/assets/logo.png";
-
-// ----------------------------- Helpers -------------------------------------
-const MIN = 60 * 1000;
-const DAY_MS = 24 * 60 * 60 * 1000;
-
-const ceilDays = (ms) => Math.max(0, Math.ceil(ms / DAY_MS));
-const redact = (tok) =>
-  tok ? `${String(tok).slice(0, 4)}…${String(tok).slice(-4)}` : "(none)";
-const isoDate = (iso) =>
-  iso ? new Date(iso).toISOString().slice(0, 10) : "N/A";
-
-function daysLeftFromEpochSec(epochSec) {
-  const secs = Number(epochSec || 0);
-  if (!Number.isFinite(secs) || secs <= 0) return { days: 0, untilISO: null };
-  const ms = secs * 1000 - Date.now();
-  if (ms <= 0) return { days: 0, untilISO: null };
-  return { days: ceilDays(ms), untilISO: new Date(secs * 1000).toISOString() };
-}
-
-function daysLeftFromDurationSec(durationSec) {
-  const secs = Number(durationSec || 0);
-  if (!Number.isFinite(secs) || secs <= 0) return { days: 0, untilISO: null };
-  const ms = secs * 1000;
-  return {
-    days: ceilDays(ms),
-    untilISO: new Date(Date.now() + ms).toISOString(),
-  };
-}
-
-// ----------------------------- Quotes --------------------------------------
-
-// 14+ days (OK) — Work mode, smart/funny, short zingers
-const QUOTES_OK = [
-// Work-while-watching (5)
-  "Grind & binge time!", "Work n' watch time!", "Emails? Nah, more episodes.", "Multitask: cry + work.", "Boss on mute, show on blast!",
-
-// Short zingers (10 micro, <34 chars)
-  "Plot twist: me!", "Popcorn is needed!", "Sequel my life...", "Cue the chaos!", "Credits? Nope. Next.", "Spoiler: Need snacks.", "Villain = Bill time.", "*dramatic sip*", "Boom. Plot.",
-
-// Smart/funny (15+ punchy bangers) — old school + new school + cringey gold
-  "You earned this binge, champ", "Queue = life. Season 1 GO", "Adulting? Nah, captioning", "Meetings done, MOVIE ON", "Procrastination level: PRO", "Budget says: snacks > rent", "Tonight: couch + 47 episodes", "Couch just filed for PTO", "Microwave = trailer timer", "Main quest: DO NOT DISTURB", "Side quest: find the remote", "Therapy? Nah, dragons", "Stretch. Sip. Stream. Repeat.", "Zoom call over, ZONE IN", "One more ep… *famous last words*", "Doomscrolling, but on TV", "I NEED to know what happens!", "Just one ep… *lies to mirror*", "Sleep? What’s that?", "Cliffhanger holding me hostage", "I can stop… after this season", "Self-care = 3AM binge", "Oops, autoplay betrayed me", "Brain: one more. Body: 12 later", "Plot > rent > my GPA", "Credits? We don’t do that here", "I now live in Couchville", "Let credits roll… IN HELL", "Skipping intros = cardio", "Hydrate? I drink DRAMA", "Laundry? Drama waits for NO ONE", "Toilet break = Russian roulette", "Remote > my ex > my mom", "Binge now, regret at sunrise", "Spoilers = war crime", "Ctrl+Z my entire life pls", "My plants died for this binge", "3AM me: still watching", "Eyebags = plot armor", "Blink = miss the plot", "Snaccident in progress", "Chores? What chores?", "Plot holes > life holes", "Remote stuck to my hand", "Next ep = my religion", "Buffering = life coach", "Subtitles = reading cheat", "Season finale? Pain.", "Autoplay = evil genius", "Blanket burrito mode", "My butt’s gone numb", "Snacks > stock market", "Pause? Never heard", "Plot twist: I’m broke", "Streaming > streaming IRL", "Eye strain = trophy", "Rewind = time travel", "Volume 47 = normal", "Binge coma incoming", "Tomorrow me hates today me", "WiFi > oxygen", "Episode 1? Rookie numbers", "Netflix & actually chill", "Loading… like my life", "Remote wars = real wars", "Popcorn lung = real", "Couch dent = legacy",
-
-// Genre-specific zingers (<34 chars) — old school + new school + cringey
-  "Horror: heart attack free", "Sci-fi: beam me up, couch", "Rom-com: love? Nah, binge", "Drama: tears > tissues", "Action: boom in my room", "Comedy: LOL till I choke", "Thriller: plot twist pants", "Fantasy: dragons > deadlines", "True crime: guilty pleasure", "Anime: subs > dubs fight", "Reality TV: messier than me", "Docu: facts? Mind blown", "Superhero: cape on couch", "Mystery: who done it? Me", "Historical: time travel cheap",
-
-// Post-binge regrets (<34 chars) — hilarious + cringey
-  "What day is it again?", "Eyes: send help pls", "Sunlight? What's that?", "Productive? Never was", "Butt numb, soul empty", "Regret level: max", "Tomorrow me: furious", "Plants dead, me alive?", "Social life? Canceled", "Binge hangover hits", "Mirror: who are you?", "Chores piled like eps", "Wallet: snacks broke me", "Brain rot achieved", "Neck pain = trophy",
-
-// Tech glitch roasts (<34 chars) — edgy + funny
-  "Buffering… my life", "Ads: skip my existence", "WiFi ghosted me", "HD? More like huh?", "Autoplay? Evil overlord", "Error 404: fun not found", "Loading… forever alone", "Pixelated dreams", "Remote battery dead", "Stream lag = rage", "Subtitles glitchy mess", "App crash = my mood", "No signal? Apocalypse", "Update now? Hell no", "You're the Debrid Master"
-];
-
-// 14 days or less (warning) — funny/edgy nudge
-const QUOTES_WARN = [
-  "Renew before cliffhanger.", "Cheaper than snacks.", "Tiny fee, huge chill.", "Beat the ‘oops, expired’.", "Your future self says thanks.", "Renew now, binge later.", "Don’t pause the fun.", "Click. Renew. Continue.", "Keep calm, renew on.", "Roll credits on worry.", "Pay up or plot twist: pain", "Binge tax due, peasant", "Wallet lighter, soul fuller", "Renew or face the void", "Card declined? Big sad", "Couch demands tribute", "Subscription > therapy", "Click or cry at 99%", "Renewal = plot armor", "Don’t let the algorithm win"
-];
-
-// 3 days or less (critical) — urgent but still funny
-const QUOTES_CRIT = [
-  "Boss fight: renewal.", "Renew soon, it's coming!", "Please renew soon...", "Your time is almost up!", "Don't let your ISP catch on", "Two taps, all vibes.", "Renew = peace unlocked.", "Don’t lose the finale.", "Almost out—top up.", "3…2…renew.", "Tiny bill, big joy.", "Grab the lifeline.", "Save the weekend.", "Clock’s loud. Renew.", "Last ep loading… or not", "Buffering fate. Renew.", "Do it or doomscroll life", "Finale blocked. Pay up.", "Renew or rage quit", "Plot armor expiring"
-];
-
-// 0 or less (expired) — roast mode ON
-const QUOTES_EXPIRED = [
-  "Renew ASAP or else...", "Your ISP will be mad!", "Renew now to avoid ISP Warnings", "Renew subscription to continue", "Renew to avoid confrontation", "Renew now to continue", "We're not responsible, renew.", "We pause respectfully.", "Refill the fun meter.", "Next ep awaits payment.", "Fix the sub, then binge.", "Snack break until renew.", "Epic… after renewal.", "Re-subscribe to continue.", "Broke hours activated", "Screen black, dreams too", "Poor and plotless", "Renew or rot in reality", "Buffering… forever", "Cliffhanger hell awaits", "Wallet betrayed you", "Free trial? Cute story", "Back to real life, sucka", "Binge blocked. L bozo", "Paywall won. You lost.", "Subscription graveyard", "Bills > chills > skills", "Restart life.exe failed", "Touch grass (mandatory)", "You had one job: renew"
-];
-
-const pick = (arr) => arr[Math.floor(Math.random() * arr.length)];
-
-// Simple in-memory cache
-const cache = new Map();
-const setCache = (key, value, ttlMs) =>
-  cache.set(key, { value, exp: Date.now() + ttlMs });
-const getCache = (key) => {
-  const it = cache.get(key);
-  if (!it) return null;
-  if (Date.now() > it.exp) {
-    cache.delete(key);
-    return null;
-  }
-  return it.value;
-};
-
-// --------------------------- Providers -------------------------------------
-async function pRealDebrid({ token, fetchImpl = fetch }) {
-  const name = "Real-Debrid";
-  if (!token)
-    return {
-      name,
-      premium: null,
-      daysLeft: null,
-      untilISO: null,
-      username: null,
-      note: "missing token",
-    };
-  try {
-    const res = await fetchImpl("https://api.real-debrid.com/rest/1.0/user", {
-      headers: {
-        Authorization: `Bearer ${token}`,
-        "User-Agent": "Statusio/1.0",
-      },
-    });
-    if (!res.ok)
-      return {
-        name,
-        premium: null,
-        daysLeft: null,
-        untilISO: null,
-        username: null,
-        note: `HTTP ${res.status}`,
-      };
-    const j = await res.json();
-    const username = j?.username || j?.user || null;
-    const premium =
-      j.premium === true ||
-      String(j.type || "").toLowerCase() === "premium";
-    let untilISO = null,
-      days = null;
-
-    if (j.expiration) {
-      const expNum = Number(j.expiration);
-      if (Number.isFinite(expNum) && expNum > 1_000_000_000) {
-        const out = daysLeftFromEpochSec(expNum);
-        days = out.days;
-        untilISO = out.untilISO;
-      } else {
-        const d = new Date(j.expiration);
-        if (!isNaN(d.getTime())) {
-          const ms = d.getTime() - Date.now();
-          days = ms > 0 ? ceilDays(ms) : 0;
-          untilISO = d.toISOString();
-        }
-      }
-    } else if (j.premium_until || j.premiumUntil) {
-      const out = daysLeftFromEpochSec(
-        Number(j.premium_until || j.premiumUntil)
-      );
-      days = out.days;
-      untilISO = out.untilISO;
-    }
-
-    if (premium === true)
-      return {
-        name,
-        premium: true,
-        daysLeft: days ?? null,
-        untilISO: untilISO ?? null,
-        username,
-      };
-    if (premium === false)
-      return {
-        name,
-        premium: false,
-        daysLeft: 0,
-        untilISO: null,
-        username,
-      };
-    return {
-      name,
-      premium: null,
-      daysLeft: null,
-      untilISO: null,
-      username,
-      note: "status unknown",
-    };
-  } catch (e) {
-    return {
-      name,
-      premium: null,
-      daysLeft: null,
-      untilISO: null,
-      username: null,
-      note: `network ${e.message}`,
-    };
-  }
-}
+import { renewUrlFor } from "./providers/index.js";
+import { createCache } from "./lib/cache.js";
+import { createHistory } from "./lib/history.js";
+import { createStatusio } from "./lib/addon.js";
+import { createServer } from "./lib/server.js";
+import { startNotifier } from "./lib/notify.js";
+import { createSealer } from "./lib/sealed.js";
+import { resolveOperator } from "./lib/operator.js";
+
+// Results cache: LRU keyed on a salted hash of the full credentials.
+// CACHE_FILE enables the JSON store so restarts keep warm entries.
+const cache = createCache({
+  maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || 500,
+  file: process.env.CACHE_FILE || null,
+  salt: process.env.CACHE_SALT || undefined,
+});
 
-async function pAllDebrid({ key, fetchImpl = fetch }) {
-  const name = "AllDebrid";
-  if (!key)
-    return {
-      name,
-      premium: null,
-      daysLeft: null,
-      untilISO: null,
-      username: null,
-      note: "missing key",
-    };
-  try {
-    const res = await fetchImpl("https://api.alldebrid.com/v4/user", {
-      headers: { Authorization: `Bearer ${key}`, "User-Agent": "Statusio/1.0" },
-    });
-    if (!res.ok)
-      return {
-        name,
-        premium: null,
-        daysLeft: null,
-        untilISO: null,
-        username: null,
-        note: `HTTP ${res.status}`,
-      };
-    const j = await res.json();
-    if (j?.status !== "success" || !j?.data?.user)
-      return {
-        name,
-        premium: null,
-        daysLeft: null,
-        untilISO: null,
-        username: null,
-        note: "bad response",
-      };
-    const u = j.data.user;
-    const username = u?.username || null;
-    const isPrem = !!u.isPremium;
-    let out = { days: null, untilISO: null };
-    if (
-      Number.isFinite(Number(u.premiumUntil)) &&
-      Number(u.premiumUntil) > 0
-    )
-      out = daysLeftFromEpochSec(Number(u.premiumUntil));
-    return isPrem
-      ? {
-          name,
-          premium: true,
-          daysLeft: out.days,
-          untilISO: out.untilISO,
-          username,
-        }
-      : {
-          name,
-          premium: false,
-          daysLeft: 0,
-          untilISO: null,
-          username,
-        };
-  } catch (e) {
-    return {
-      name,
-      premium: null,
-      daysLeft: null,
-      untilISO: null,
-      username: null,
-      note: `network ${e.message}`,
-    };
-  }
-}
+// Expiry history (renewals/lapses); HISTORY_FILE keeps it across restarts
+const history = createHistory({
+  file: process.env.HISTORY_FILE || null,
+  salt: process.env.CACHE_SALT || undefined,
+});
 
-async function pPremiumize({ key, useOAuth = false, fetchImpl = fetch }) {
-  const name = "Premiumize";
-  if (!key)
-    return {
-      name,
-      premium: null,
-      daysLeft: null,
-      untilISO: null,
-      username: null,
-      note: "missing key",
-    };
-  try {
-    const url = new URL("https://www.premiumize.me/api/account/info");
-    url.searchParams.set(useOAuth ? "access_token" : "apikey", key);
-    const res = await fetchImpl(url.toString(), {
-      headers: { "User-Agent": "Statusio/1.0" },
-    });
-    if (!res.ok)
-      return {
-        name,
-        premium: null,
-        daysLeft: null,
-        untilISO: null,
-        username: null,
-        note: `HTTP ${res.status}`,
-      };
-    const j = await res.json();
-    if (String(j.status).toLowerCase() !== "success")
-      return {
-        name,
-        premium: null,
-        daysLeft: null,
-        untilISO: null,
-        username: null,
-        note: "bad response",
-      };
-    const out = daysLeftFromEpochSec(j.premium_until || 0);
-    const isPrem = out.days > 0;
-    const username = j?.customer_id ? String(j.customer_id) : null;
-    return isPrem
-      ? {
-          name,
-          premium: true,
-          daysLeft: out.days,
-          untilISO: out.untilISO,
-          username,
-        }
-      : {
-          name,
-          premium: false,
-          daysLeft: 0,
-          untilISO: null,
-          username,
-        };
-  } catch (e) {
-    return {
-      name,
-      premium: null,
-      daysLeft: null,
-      untilISO: null,
-      username: null,
-      note: `network ${e.message}`,
-    };
-  }
-}
+const statusio = createStatusio({ cache, history });
+const { manifest } = statusio;
+// CONFIG_SECRET enables encrypted install URLs (see lib/sealed.js)
+const sealer = createSealer();
+// OPERATOR_MODE: access key, rate limits and /admin (see lib/operator.js)
+const operator = resolveOperator();
+const app = createServer(statusio, { sealer, operator });
 
-// TorBox — updated to match documented API shape:
-//   { success, error, detail, data: { is_subscribed, premium_expires_at, ... } }
-async function pTorBox({ token, fetchImpl = fetch }) {
-  const name = "TorBox";
-  if (!token)
-    return {
-      name,
-      premium: null,
-      daysLeft: null,
-      untilISO: null,
-      username: null,
-      note: "missing token",
-    };
+// ------------------------------ Server -------------------------------------
+const PORT = Number(process.env.PORT || 7042);
 
-  try {
-    const res = await fetchImpl(
-      "https://api.torbox.app/v1/api/user/me?settings=true",
-      {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          "User-Agent": "Statusio/1.0",
-        },
-      }
+app.listen(PORT, () => {
+  console.log(
+    `✅ Statusio v${manifest.version} at http://127.0.0.1:${PORT}/manifest.json`
+  );
+  console.log(`📊 JSON: /api/status • Health: /health • Metrics: /metrics`);
+  if (sealer.enabled) console.log(`🔒 Install URLs are encrypted`);
+  if (operator.enabled)
+    console.log(
+      `🛡️  Operator mode: ENV tokens local-only` +
+        (operator.accessKeys.length ? ", access key required" : "") +
+        (operator.adminKey ? " • Admin: /admin" : "")
     );
-
-    if (!res.ok) {
-      return {
-        name,
-        premium: null,
-        daysLeft: null,
-        untilISO: null,
-        username: null,
-        note: `HTTP ${res.status}`,
-      };
-    }
-
-    const j = await res.json();
-
-    // TorBox standard response: { success, data, error, message/detail }
-    if (j?.success === false && !j?.data) {
-      return {
-        name,
-        premium: null,
-        daysLeft: null,
-        untilISO: null,
-        username: null,
-        note: j.error || j.message || "TorBox: unsuccessful response",
-      };
-    }
-
-    const u = j?.data || j?.user || j;
-    const username = u?.username || u?.email || null;
-
-    const isSubscribed =
-      u?.is_subscribed === true || u?.isSubscribed === true;
-
-    let days = null;
-    let untilISO = null;
-
-    // Primary: ISO8601 expiry (e.g. "2025-04-02T19:13:05Z")
-    const expiryIso =
-      u?.premium_expires_at || u?.premiumExpiresAt || u?.premium_until_iso;
-    if (expiryIso) {
-      const d = new Date(expiryIso);
-      if (!isNaN(d.getTime())) {
-        const ms = d.getTime() - Date.now();
-        days = ms > 0 ? ceilDays(ms) : 0;
-        untilISO = d.toISOString();
-      }
-    } else if (
-      u?.remainingPremiumSeconds ||
-      u?.premium_left ||
-      u?.premiumLeft
-    ) {
-      // Fallback if TorBox ever exposes remaining seconds
-      const out = daysLeftFromDurationSec(
-        u.remainingPremiumSeconds || u.premium_left || u.premiumLeft
-      );
-      days = out.days;
-      untilISO = out.untilISO;
-    }
-
-    const hasDays = typeof days === "number" && days > 0;
-    const isPrem = isSubscribed || hasDays;
-
-    if (isPrem) {
-      return {
-        name,
-        premium: true,
-        daysLeft: hasDays ? days : null,
-        untilISO,
-        username,
-      };
-    }
-
-    // Not subscribed / expired
-    return {
-      name,
-      premium: false,
-      daysLeft: 0,
-      untilISO: null,
-      username,
-      note: j.error || j.message || u?.note || "not subscribed",
-    };
-  } catch (e) {
-    return {
-      name,
-      premium: null,
-      daysLeft: null,
-      untilISO: null,
-      username: null,
-      note: `network ${e.message}`,
-    };
-  }
-}
-
-async function pDebridLink({
-  key,
-  authScheme = "Bearer",
-  endpoint = "https://debrid-link.com/api/account/infos",
-  fetchImpl = fetch,
-}) {
-  const name = "Debrid-Link";
-  if (!key)
-    return {
-      name,
-      premium: null,
-      daysLeft: null,
-      untilISO: null,
-      username: null,
-      note: "missing key",
-    };
-  try {
-    let url = endpoint;
-    const init = { headers: { "User-Agent": "Statusio/1.0" } };
-    if (authScheme === "Bearer") {
-      init.headers.Authorization = `Bearer ${key}`;
-    } else {
-      const u = new URL(endpoint);
-      u.searchParams.set("apikey", key);
-      url = u.toString();
-    }
-    const res = await fetchImpl(url, init);
-    if (!res.ok)
-      return {
-        name,
-        premium: null,
-        daysLeft: null,
-        untilISO: null,
-        username: null,
-        note: `HTTP ${res.status}`,
-      };
-    const j = await res.json();
-    if (!j?.success || !j?.value)
-      return {
-        name,
-        premium: null,
-        daysLeft: null,
-        untilISO: null,
-        username: null,
-        note: "bad response",
-      };
-    const secs = Number(j.value.premiumLeft || 0);
-    const out =
-      secs > 0 ? daysLeftFromDurationSec(secs) : { days: 0, untilISO: null };
-    const username = j?.value?.username || null;
-    if (out.days > 0)
-      return {
-        name,
-        premium: true,
-        daysLeft: out.days,
-        untilISO: out.untilISO,
-        username,
-      };
-    return {
-      name,
-      premium: false,
-      daysLeft: 0,
-      untilISO: null,
-      username,
-      note: `accountType=${j.value.accountType ?? "?"}`,
-    };
-  } catch (e) {
-    return {
-      name,
-      premium: null,
-      daysLeft: null,
-      untilISO: null,
-      username: null,
-      note: `network ${e.message}`,
-    };
-  }
-}
-
-// --------------------------- Status Formatting -----------------------------
-function getStatusInfo(days) {
-  if (days <= 0)
-    return { emoji: "🔴", label: "Expired", quoteSet: QUOTES_EXPIRED };
-  if (days <= 3)
-    return { emoji: "🟠", label: "Critical", quoteSet: QUOTES_CRIT };
-  if (days <= 14)
-    return { emoji: "🟡", label: "Warning", quoteSet: QUOTES_WARN };
-  return { emoji: "🟢", label: "OK", quoteSet: QUOTES_OK };
-}
-
-function formatProviderStatusWithBreaks(r) {
-  const user = r?.username ? `@${String(r.username)}` : "—";
-  const days = Number.isFinite(r.daysLeft) && r.daysLeft !== null
-    ? r.daysLeft
-    : r.premium
-    ? "—"
-    : 0;
-  const dateStr = r.untilISO
-    ? isoDate(r.untilISO)
-    : r.premium
-    ? "—"
-    : "N/A";
-  const numericDays = typeof days === "number" ? days : 9999;
-  const { emoji, label, quoteSet } = getStatusInfo(numericDays);
-
-  // ONLY the per-field lines, joined by \n — no trailing footer
-  const lines = [];
-  lines.push(`🤝 Service: ${r.name}`);
-  lines.push(`👤 User: ${user}`);
-  lines.push(`⭐ Expires: ${dateStr}`);
-  lines.push(`⏳️ Days left: ${days}`);
-  lines.push(`${emoji} Status: ${label}`);
-  lines.push(`💬 ${pick(quoteSet)}`);
-  return lines.join("\n");
-}
-
-// --------------------------- Manifest (TV-Compatible) ----------------------
-const manifest = {
-  id: "a1337user.statusio.tv.compatible",
-  version: "1.1.26",
-  name: "Statusio",
-  description:
-    "Shows premium status & days remaining across multiple debrid providers.",
-  resources: ["stream"],
-  types: ["movie", "series"],
-  idPrefixes: ["tt"],
-  catalogs: [],
-  behaviorHints: { configurable: true, configurationRequired: false },
-  logo: LOGO_URL,
-  config: [
-    {
-      key: "cache_minutes",
-      type: "number",
-      default: "45",
-      title: "Cache Minutes (default 45)",
-    },
-    { key: "rd_token", type: "text", title: "Real-Debrid Token (Bearer)" },
-    { key: "ad_key", type: "text", title: "AllDebrid API Key (Bearer)" },
-    {
-      key: "pm_key",
-      type: "text",
-      title: "Premiumize apikey OR access_token",
-    },
-    { key: "tb_token", type: "text", title: "TorBox Token (Bearer)" },
-    { key: "dl_key", type: "text", title: "Debrid-Link API Key/Token" },
-    {
-      key: "dl_auth",
-      type: "text",
-      title: "Debrid-Link Auth Scheme (Bearer/query)",
-      default: "Bearer",
-    },
-    {
-      key: "dl_endpoint",
-      type: "text",
-      title: "Debrid-Link Endpoint Override",
-      default: "https://debrid-link.com/api/account/infos",
-    },
-  ],
-};
-
-const builder = new addonBuilder(manifest);
-
-// --------------------------- Shared Data Fetching --------------------------
-async function fetchStatusData(cfg) {
-  const cacheMin = Number.isFinite(Number(cfg.cache_minutes))
-    ? Math.max(1, Number(cfg.cache_minutes))
-    : 45;
-
-  const tokens = {
-    rd: String(cfg.rd_token || process.env.RD_TOKEN || "").trim(),
-    ad: String(cfg.ad_key || process.env.AD_KEY || "").trim(),
-    pm: String(cfg.pm_key || process.env.PM_KEY || "").trim(),
-    tb: String(cfg.tb_token || process.env.TB_TOKEN || "").trim(),
-    dl: String(cfg.dl_key || process.env.DL_KEY || "").trim(),
-  };
-
-  const enabled = {
-    realdebrid: !!tokens.rd,
-    alldebrid: !!tokens.ad,
-    premiumize: !!tokens.pm,
-    torbox: !!tokens.tb,
-    debridlink: !!tokens.dl,
-  };
-
-  const cacheKey = [
-    Object.entries(enabled)
-      .filter(([, v]) => v)
-      .map(([k]) => k)
-      .join(","),
-    `rd:${redact(tokens.rd)}`,
-    `ad:${redact(tokens.ad)}`,
-    `pm:${redact(tokens.pm)}`,
-    `tb:${redact(tokens.tb)}`,
-    `dl:${redact(tokens.dl)}:${cfg.dl_auth || "Bearer"}:${
-      cfg.dl_endpoint || ""
-    }`,
-  ].join("|");
-
-  let results = getCache(cacheKey);
-  if (!results) {
-    try {
-      const jobs = [];
-      if (enabled.realdebrid) jobs.push(pRealDebrid({ token: tokens.rd }));
-      if (enabled.alldebrid) jobs.push(pAllDebrid({ key: tokens.ad }));
-      if (enabled.premiumize) jobs.push(pPremiumize({ key: tokens.pm }));
-      if (enabled.torbox) jobs.push(pTorBox({ token: tokens.tb }));
-      if (enabled.debridlink)
-        jobs.push(
-          pDebridLink({
-            key: tokens.dl,
-            authScheme: cfg.dl_auth || "Bearer",
-            endpoint: (cfg.dl_endpoint ||
-              "https://debrid-link.com/api/account/infos"
-            ).trim(),
-          })
-        );
-      results = jobs.length ? await Promise.all(jobs) : [];
-      setCache(cacheKey, results, cacheMin * MIN);
-    } catch (e) {
-      console.error("[Statusio] Error fetching provider data:", e);
-      return { error: e.message, results: [], enabled, hasData: false };
-    }
-  }
-
-  return {
-    results,
-    enabled,
-    hasData: results.some((r) => r.premium !== null || r.username),
-  };
-}
-
-// ---------------------------- Stream Handler (TV) --------------------------
-builder.defineStreamHandler(async (args) => {
-  const reqId = String(args?.id || "");
-  if (!reqId || !reqId.startsWith("tt")) return { streams: [] };
-
-  // Parse config (object or JSON string)
-  const rawCfg = args?.config ?? {};
-  let cfg = {};
-  if (typeof rawCfg === "string") {
-    try {
-      cfg = JSON.parse(rawCfg);
-    } catch {
-      cfg = {};
-    }
-  } else if (typeof rawCfg === "object" && rawCfg !== null) {
-    cfg = rawCfg;
-  }
-
-  const statusData = await fetchStatusData(cfg);
-
-  // TVs filter out setup/instructional streams; if no tokens, return empty.
-  if (!Object.values(statusData.enabled).some((v) => v)) return { streams: [] };
-
-  const streams = [];
-  if (statusData.hasData) {
-    for (const r of statusData.results) {
-      if (r.premium !== null || r.username) {
-        streams.push({
-          name: "🔐 Statusio",
-          description: formatProviderStatusWithBreaks(r), // ONLY lines, with \n
-          url: "https://real-debrid.com/",
-          externalUrl: "https://real-debrid.com/",
-          behaviorHints: { notWebReady: true },
-        });
-      }
-    }
-  }
-
-  // TV safety: cap number of streams returned (avoid UI overload)
-  const MAX_TV_STREAMS = 3;
-  const finalStreams = streams.slice(0, MAX_TV_STREAMS);
-
-  return { streams: finalStreams };
 });
 
-// ------------------------------ Server -------------------------------------
-const PORT = Number(process.env.PORT || 7042);
-serveHTTP(builder.getInterface(), { port: PORT, hostname: "0.0.0.0" });
+// Expiry reminders (only when a NOTIFY_* channel is configured)
+startNotifier({ renewUrlFor });
 
-console.log(
-  `✅ Statusio v1.1.26 at http://127.0.0.1:${PORT}/manifest.json`
-);
-console.log(`↩️  Description now STRICTLY the six lines (no footer).`);
\ No newline at end of file
+// Persist the cache and history on shutdown (no-ops without their files)
+for (const sig of ["SIGINT", "SIGTERM"])
+  process.once(sig, () => {
+    cache.flush();
+    history.flush();
+    process.exit(0);
+  });
@@ -0,0 +1,395 @@
+// ============================================================================
+// Statusio • Stremio Add-on (TV-Compatible v1.1.26)
+// Change: description = ONLY the per-field lines (no footer/thank-you/etc.)
+// Pattern: Ratings Aggregator–style (simple text, includes url + externalUrl)
+// Importing this module has no side effects: createStatusio() builds the
+// manifest, data fetching and the stream/catalog/meta handlers; index.js
+// serves them.
+// ============================================================================
+
+import sdk from "stremio-addon-sdk";
+const { addonBuilder } = sdk;
+import {
+  listProviders,
+  getProvider,
+  providerConfigFields,
+  renewUrlFor,
+  resolveAccounts,
+  fetchAccount,
+} from "../providers/index.js";
+import { createCache } from "./cache.js";
+import { createHistory } from "./history.js";
+import { cachedFetch, isGoodResult } from "./refresh.js";
+import { timedLoad } from "./metrics.js";
+import { envFallbackAllowed, operatorConfigFields } from "./operator.js";
+import { DEMO_MODES, resolveDemoMode, demoResults } from "./demo.js";
+import { resolveThresholds, thresholdConfigFields } from "./thresholds.js";
+import { resolveQuotes } from "./quotes.js";
+import { resolveLanguage, languageConfigFields } from "./i18n.js";
+import {
+  resolveTemplate,
+  resolveErrorTemplate,
+  templateConfigFields,
+} from "./card.js";
+import { resolveShowUsage } from "./usage.js";
+import {
+  formatProviderStatusWithBreaks,
+  formatErrorCard,
+  formatSummary,
+} from "./format.js";
+import {
+  BOARD_TYPE,
+  BOARD_CATALOG_ID,
+  BOARD_ID_PREFIX,
+  boardCatalog,
+  boardEntries,
+  findBoardEntry,
+  isBoardId,
+  toMetaPreview,
+  toMeta,
+} from "./board.js";
+import { calendarConfigFields } from "./calendar.js";
+import {
+  coversStream,
+  streamResource,
+  coverageConfigFields,
+} from "./coverage.js";
+
+// ----------------------------- Icon ----------------------------------------
+const LOGO_URL =
+  "https://raw.githubusercontent.com/ARandomAddonDev/Statusio/refs/heads/main/assets/logo.png";
+
+// Card link when a provider declares no renew/dashboard URL
+export const FALLBACK_URL = "https://github.com/ARandomAddonDev/Statusio";
+
+// ----------------------------- Helpers -------------------------------------
+const MIN = 60 * 1000;
+
+// --------------------------- Manifest (TV-Compatible) ----------------------
+// Built on demand so providers registered at startup (registerProvider) are
+// part of the config form. With a config, the stream resource lists that
+// install's types and id prefixes (lib/coverage.js).
+export function buildManifest(cfg = {}) {
+  const stream = streamResource(cfg, {
+    types: [BOARD_TYPE],
+    idPrefixes: [BOARD_ID_PREFIX],
+  });
+  return {
+    id: "a1337user.statusio.tv.compatible",
+    version: "1.1.26",
+    name: "Statusio",
+    description:
+      "Shows premium status & days remaining across multiple debrid providers.",
+    // Stream cards on the covered titles, plus the "My Debrid Accounts"
+    // board (lib/board.js) whose items open a detail page and their own card
+    resources: [
+      "catalog",
+      { name: "meta", types: [BOARD_TYPE], idPrefixes: [BOARD_ID_PREFIX] },
+      stream,
+    ],
+    types: stream.types,
+    ...(stream.idPrefixes && { idPrefixes: stream.idPrefixes }),
+    catalogs: [boardCatalog()],
+    behaviorHints: { configurable: true, configurationRequired: false },
+    logo: LOGO_URL,
+    config: [
+      ...operatorConfigFields(),
+      {
+        key: "cache_minutes",
+        type: "number",
+        default: "45",
+        title: "Cache Minutes (default 45)",
+      },
+      {
+        key: "demo_mode",
+        type: "select",
+        options: DEMO_MODES,
+        default: "off",
+        title: "Demo Mode (preview without tokens)",
+      },
+      ...providerConfigFields(),
+      ...thresholdConfigFields(listProviders()),
+      {
+        key: "display_mode",
+        type: "select",
+        options: ["per_provider", "summary"],
+        default: "per_provider",
+        title: "Display Mode (one card per provider / one summary card)",
+      },
+      {
+        key: "max_streams",
+        type: "number",
+        default: "3",
+        title: "Max Cards (per-provider mode, default 3)",
+      },
+      ...languageConfigFields(),
+      ...templateConfigFields(),
+      ...coverageConfigFields(),
+      ...calendarConfigFields(),
+    ],
+  };
+}
+
+// --------------------------- Shared Data Fetching --------------------------
+// Config arrives as an object (SDK) or a JSON string (raw URL segment)
+export function parseConfig(rawCfg = {}) {
+  if (typeof rawCfg === "string") {
+    try {
+      const cfg = JSON.parse(rawCfg);
+      return cfg && typeof cfg === "object" ? cfg : {};
+    } catch {
+      return {};
+    }
+  }
+  return typeof rawCfg === "object" && rawCfg !== null ? rawCfg : {};
+}
+
+// Per-config presentation bits (links, status bands, account labels) are
+// attached after caching so changing them applies without a refetch.
+// With several accounts on one provider, each is labeled by its nickname,
+// else by its username.
+function decorate(results, cfg) {
+  const perProvider = {};
+  for (const r of results) perProvider[r.id] = (perProvider[r.id] || 0) + 1;
+  return results.map((r) => {
+    const provider = getProvider(r.id);
+    const label =
+      r.nickname || (perProvider[r.id] > 1 && r.username ? r.username : null);
+    return {
+      ...r,
+      displayName: label ? `${r.name} (${label})` : r.name,
+      renewUrl: renewUrlFor(provider, cfg),
+      thresholds: resolveThresholds(cfg, provider),
+    };
+  });
+}
+
+// ---------------------------- Stream Handler (TV) --------------------------
+const DISPLAY_MODES = ["per_provider", "summary"];
+const DEFAULT_MAX_STREAMS = 3;
+const MAX_STREAMS_LIMIT = 20;
+
+const resolveDisplayMode = (cfg) => {
+  const mode = String(cfg.display_mode || process.env.DISPLAY_MODE || "")
+    .trim()
+    .toLowerCase();
+  return DISPLAY_MODES.includes(mode) ? mode : "per_provider";
+};
+
+const resolveErrorCards = (cfg) =>
+  String(cfg.error_cards || process.env.ERROR_CARDS || "show")
+    .trim()
+    .toLowerCase() !== "hide";
+
+const resolveMaxStreams = (cfg) => {
+  const n = Number(cfg.max_streams || process.env.MAX_STREAMS);
+  return Number.isInteger(n) && n > 0
+    ? Math.min(n, MAX_STREAMS_LIMIT)
+    : DEFAULT_MAX_STREAMS;
+};
+
+// ----------------------------- Addon ---------------------------------------
+// opts.cache: results cache (in-memory by default); opts.history: expiry
+// history store (lib/history.js, in-memory by default); opts.fetchImpl:
+// fetch used for provider calls and quote packs (tests pass a mock).
+// Failures are cached briefly; the last good result backs them up for longer.
+export function createStatusio({
+  cache = createCache(),
+  history = createHistory(),
+  fetchImpl,
+  errorTtlMs = (Number(process.env.ERROR_CACHE_SECONDS) || 60) * 1000,
+  staleTtlMs = (Number(process.env.STALE_MAX_HOURS) || 72) * 60 * MIN,
+} = {}) {
+  const manifest = buildManifest();
+
+  async function fetchStatusData(cfg) {
+    const cacheMin = Number.isFinite(Number(cfg.cache_minutes))
+      ? Math.max(1, Number(cfg.cache_minutes))
+      : 45;
+
+    // Demo Mode: fabricated results for every provider, never hits the network
+    const demoMode = resolveDemoMode(cfg);
+    if (demoMode !== "off") {
+      const results = decorate(demoResults(demoMode), cfg);
+      return {
+        results,
+        enabled: Object.fromEntries(listProviders().map((p) => [p.id, true])),
+        hasData: true,
+        demo: demoMode,
+      };
+    }
+
+    // ENV tokens never reach remote visitors in operator mode
+    const accounts = resolveAccounts(cfg, { env: envFallbackAllowed() });
+    const active = accounts.filter((a) => a.enabled);
+    const enabled = {};
+    for (const a of accounts)
+      enabled[a.provider.id] = enabled[a.provider.id] || a.enabled;
+
+    // Each account is cached separately (see lib/refresh.js) and fetched in
+    // parallel; several accounts per provider each get their own entry.
+    // Every result passes through the history store, which attaches what it
+    // knows about the account's past expiries.
+    const withHistory = (a, r) => {
+      const key = history.keyFor(a.provider.id, a.credential || a.oauth);
+      const past = history.record(key, r);
+      return {
+        ...r,
+        ...(a.nickname && { nickname: a.nickname }),
+        ...(past && { history: past }),
+      };
+    };
+
+    let results;
+    try {
+      results = await Promise.all(
+        active.map((a) =>
+          cachedFetch({
+            cache,
+            key: cache.keyFor([
+              a.provider.id,
+              a.credential || a.oauth,
+              a.options,
+            ]),
+            load: timedLoad(a.provider.id, () => fetchAccount(a, fetchImpl)),
+            ttlMs: cacheMin * MIN,
+            errorTtlMs,
+            staleTtlMs,
+          }).then((r) => withHistory(a, r))
+        )
+      );
+    } catch (e) {
+      console.error("[Statusio] Error fetching provider data:", e);
+      return { error: e.message, results: [], enabled, hasData: false };
+    }
+
+    results = decorate(results, cfg);
+
+    return {
+      results,
+      enabled,
+      hasData: results.some(isGoodResult),
+    };
+  }
+
+  const hasAccounts = (statusData) =>
+    Object.values(statusData.enabled).some((v) => v);
+
+  const cardOptions = async (cfg) => {
+    const lang = resolveLanguage(cfg);
+    return {
+      template: resolveTemplate(cfg),
+      errorTemplate: resolveErrorTemplate(cfg),
+      lang,
+      quotes: await resolveQuotes(cfg, lang, fetchImpl),
+      usage: resolveShowUsage(cfg),
+    };
+  };
+
+  // externalUrl opens the browser where supported; clients that ignore it
+  // (TVs) fall back to url
+  const toStream = (description, r) => ({
+    name: "🔐 Statusio",
+    description, // ONLY lines, with \n
+    url: r?.renewUrl || FALLBACK_URL,
+    externalUrl: r?.renewUrl || FALLBACK_URL,
+    behaviorHints: { notWebReady: true },
+  });
+
+  const cardFor = (r, cardOpts) =>
+    isGoodResult(r)
+      ? formatProviderStatusWithBreaks(r, cardOpts)
+      : formatErrorCard(r, cardOpts);
+
+  async function handleStream(args) {
+    const reqId = String(args?.id || "");
+    const board = isBoardId(reqId);
+    const cfg = parseConfig(args?.config);
+    if (!board && !coversStream(args, cfg)) return { streams: [] };
+
+    const statusData = await fetchStatusData(cfg);
+
+    // TVs filter out setup/instructional streams; if no tokens, return empty.
+    if (!hasAccounts(statusData)) return { streams: [] };
+
+    const cardOpts = await cardOptions(cfg);
+
+    // A board item's own card, whatever the display mode
+    if (board) {
+      const entry = findBoardEntry(statusData.results, reqId);
+      return {
+        streams: entry ? [toStream(cardFor(entry.r, cardOpts), entry.r)] : [],
+      };
+    }
+
+    // Failed providers get their own error card unless hidden in config
+    const showErrors = resolveErrorCards(cfg);
+    const shown = statusData.results.filter(
+      (r) => isGoodResult(r) || (showErrors && r.error)
+    );
+
+    if (resolveDisplayMode(cfg) === "summary") {
+      const { text, worst } = formatSummary(shown, cardOpts);
+      return { streams: text ? [toStream(text, worst)] : [] };
+    }
+
+    const streams = shown.map((r) => toStream(cardFor(r, cardOpts), r));
+
+    // TV safety: cap number of streams returned (avoid UI overload)
+    return { streams: streams.slice(0, resolveMaxStreams(cfg)) };
+  }
+
+  // Board: every configured account, failed ones included so a broken
+  // token is visible here too
+  async function handleCatalog(args) {
+    if (args?.type !== BOARD_TYPE || args?.id !== BOARD_CATALOG_ID)
+      return { metas: [] };
+    const cfg = parseConfig(args?.config);
+    const statusData = await fetchStatusData(cfg);
+    if (!hasAccounts(statusData)) return { metas: [] };
+    const opts = { logo: LOGO_URL, lang: resolveLanguage(cfg) };
+    const metas = boardEntries(statusData.results)
+      .filter(({ r }) => isGoodResult(r) || r.error)
+      .map((e) => toMetaPreview(e, opts));
+    return { metas };
+  }
+
+  async function handleMeta(args) {
+    const reqId = String(args?.id || "");
+    if (!isBoardId(reqId)) return { meta: null };
+    const cfg = parseConfig(args?.config);
+    const statusData = await fetchStatusData(cfg);
+    const entry = findBoardEntry(statusData.results, reqId);
+    if (!entry) return { meta: null };
+    const lang = resolveLanguage(cfg);
+    return {
+      meta: toMeta(entry, { logo: LOGO_URL, lang, fallbackUrl: FALLBACK_URL }),
+    };
+  }
+
+  const builder = new addonBuilder(manifest);
+  builder.defineStreamHandler(handleStream);
+  builder.defineCatalogHandler(handleCatalog);
+  builder.defineMetaHandler(handleMeta);
+
+  // Manifest served on a configured install URL: coverage from its config,
+  // and no Configure button once installed (as the SDK does)
+  const manifestFor = (cfg) => {
+    const m = buildManifest(parseConfig(cfg));
+    delete m.behaviorHints.configurable;
+    delete m.behaviorHints.configurationRequired;
+    return m;
+  };
+
+  return {
+    manifest,
+    manifestFor,
+    cache,
+    history,
+    fetchStatusData,
+    handleStream,
+    handleCatalog,
+    handleMeta,
+    addonInterface: builder.getInterface(),
+  };
+}
@@ -0,0 +1,241 @@
+// ============================================================================
+// Statusio • HTTP API (alongside the Stremio routes)
+//   GET [/:config]/api/status   normalized results as JSON (Home Assistant …)
+//   GET [/:config]/api/history  expiry history, renewals and lapses per account
+//   GET [/:config]/calendar.ics iCalendar feed of upcoming expiries
+//   GET /health                 liveness + per-provider reachability + cache
+//   GET /health/ready           503 while every called provider is down
+//   GET [/:config]/metrics      Prometheus text, incl. days-left gauges
+// `:config` is the same segment as in the install URL, so swapping
+// `manifest.json` for `api/status` gives the JSON for that install. Without
+// it, the instance's ENV tokens are used.
+// ============================================================================
+
+import express from "express";
+import { getStatusInfo } from "./thresholds.js";
+import { isGoodResult } from "./refresh.js";
+import { providerHealth, providerStats, uptimeSec } from "./metrics.js";
+import { calendarText } from "./calendar.js";
+import { resolveLanguage } from "./i18n.js";
+
+// days/band exactly as the card computes them
+export function statusOf(r) {
+  if (!isGoodResult(r)) return { band: null, label: null, emoji: null };
+  const days = r.premium ? r.daysLeft ?? null : 0;
+  if (days === null) return { band: "ok", label: "OK", emoji: "🟢" };
+  const { band, label, emoji } = getStatusInfo(days, r.thresholds);
+  return { band, label, emoji };
+}
+
+const publicResult = (r) => ({
+  id: r.id,
+  name: r.name,
+  nickname: r.nickname ?? null,
+  displayName: r.displayName || r.name,
+  premium: r.premium,
+  daysLeft: r.daysLeft,
+  untilISO: r.untilISO,
+  username: r.username,
+  note: r.note ?? null,
+  error: r.error ?? null,
+  stale: !!r.stale,
+  fetchedAt: r.fetchedAt ? new Date(r.fetchedAt).toISOString() : null,
+  renewUrl: r.renewUrl ?? null,
+  usage: r.usage ?? null,
+  lastRenewal: r.history?.lastRenewal ?? null,
+  status: statusOf(r),
+});
+
+const publicHistory = (r) => ({
+  id: r.id,
+  name: r.name,
+  nickname: r.nickname ?? null,
+  displayName: r.displayName || r.name,
+  username: r.username ?? null,
+  untilISO: r.untilISO ?? null,
+  renewals: (r.history?.events || []).filter((e) => e.type === "renewed")
+    .length,
+  lastRenewal: r.history?.lastRenewal ?? null,
+  lastLapse: r.history?.lastLapse ?? null,
+  events: r.history?.events || [],
+  points: r.history?.points || [],
+});
+
+// ----------------------------- Prometheus ----------------------------------
+const esc = (v) =>
+  String(v ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+const labels = (o) =>
+  `{${Object.entries(o)
+    .map(([k, v]) => `${k}="${esc(v)}"`)
+    .join(",")}}`;
+
+function metricsText({ results, cacheStats, version }) {
+  const out = [];
+  const metric = (name, type, help, samples) => {
+    out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [l, v] of samples) out.push(`${name}${l ? labels(l) : ""} ${v}`);
+  };
+
+  metric("statusio_up", "gauge", "Statusio process is up.", [[{ version }, 1]]);
+  metric("statusio_uptime_seconds", "gauge", "Seconds since start.", [
+    [null, uptimeSec()],
+  ]);
+
+  const c = cacheStats();
+  metric("statusio_cache_entries", "gauge", "Entries in the results cache.", [
+    [null, c.size],
+  ]);
+  metric("statusio_cache_hits_total", "counter", "Cache hits.", [[null, c.hits]]);
+  metric("statusio_cache_misses_total", "counter", "Cache misses.", [
+    [null, c.misses],
+  ]);
+  metric("statusio_cache_evictions_total", "counter", "LRU evictions.", [
+    [null, c.evictions],
+  ]);
+
+  const calls = [];
+  for (const [id, s] of providerStats())
+    for (const [outcome, n] of Object.entries(s.outcomes))
+      calls.push([{ provider: id, outcome }, n]);
+  metric(
+    "statusio_provider_requests_total",
+    "counter",
+    "Provider API calls by outcome.",
+    calls
+  );
+
+  const good = results.filter(isGoodResult);
+  const account = (r) => ({
+    provider: r.id,
+    account: r.nickname || r.username || "unknown",
+  });
+  metric(
+    "statusio_account_days_left",
+    "gauge",
+    "Premium days left per account (0 when expired).",
+    good
+      .filter((r) => !r.premium || Number.isFinite(r.daysLeft))
+      .map((r) => [account(r), r.premium ? r.daysLeft : 0])
+  );
+  metric(
+    "statusio_account_premium",
+    "gauge",
+    "1 if the account is premium.",
+    good.map((r) => [account(r), r.premium ? 1 : 0])
+  );
+  metric(
+    "statusio_account_expiry_timestamp_seconds",
+    "gauge",
+    "Premium expiry as a Unix timestamp.",
+    good
+      .filter((r) => r.untilISO)
+      .map((r) => [account(r), Math.floor(Date.parse(r.untilISO) / 1000)])
+  );
+  metric(
+    "statusio_account_error",
+    "gauge",
+    "1 if the last call for the account failed, by category.",
+    results
+      .map((r, i) => [r, i])
+      .filter(([r]) => r.error)
+      .map(([r, i]) => [
+        {
+          provider: r.id,
+          account: r.nickname || r.username || `#${i + 1}`,
+          category: r.error,
+        },
+        1,
+      ])
+  );
+  return out.join("\n") + "\n";
+}
+
+// ----------------------------- Router --------------------------------------
+// deps: { fetchStatusData(cfg), parseConfig(raw), cacheStats(), version }
+export function createApiRouter(deps) {
+  const { fetchStatusData, parseConfig, cacheStats, version } = deps;
+  const router = express.Router();
+
+  const cfgOf = (req) => parseConfig(req.params.config ?? {});
+
+  const health = () => {
+    const providers = providerHealth();
+    const called = Object.values(providers);
+    const allDown = called.length > 0 && called.every((p) => !p.reachable);
+    return {
+      status: called.some((p) => !p.reachable) ? "degraded" : "ok",
+      ready: !allDown,
+      version,
+      uptimeSec: uptimeSec(),
+      providers,
+      cache: cacheStats(),
+    };
+  };
+
+  router.get("/health", (_req, res) => res.json(health()));
+  router.get("/health/ready", (_req, res) => {
+    const h = health();
+    res.status(h.ready ? 200 : 503).json(h);
+  });
+
+  router.get(["/api/status", "/:config/api/status"], async (req, res) => {
+    try {
+      const data = await fetchStatusData(cfgOf(req));
+      res.json({
+        generatedAt: new Date().toISOString(),
+        demo: data.demo || null,
+        results: data.results.map(publicResult),
+      });
+    } catch (e) {
+      console.error("[Statusio] /api/status failed:", e);
+      res.status(500).json({ error: "status unavailable" });
+    }
+  });
+
+  router.get(["/api/history", "/:config/api/history"], async (req, res) => {
+    try {
+      const data = await fetchStatusData(cfgOf(req));
+      res.json({
+        generatedAt: new Date().toISOString(),
+        demo: data.demo || null,
+        accounts: data.results
+          .filter((r) => isGoodResult(r) || r.history)
+          .map(publicHistory),
+      });
+    } catch (e) {
+      console.error("[Statusio] /api/history failed:", e);
+      res.status(500).json({ error: "history unavailable" });
+    }
+  });
+
+  router.get(["/calendar.ics", "/:config/calendar.ics"], async (req, res) => {
+    try {
+      const cfg = cfgOf(req);
+      const data = await fetchStatusData(cfg);
+      res.type("text/calendar; charset=utf-8");
+      res.set("Content-Disposition", 'inline; filename="statusio.ics"');
+      res.send(
+        calendarText(data.results, { cfg, lang: resolveLanguage(cfg) })
+      );
+    } catch (e) {
+      console.error("[Statusio] /calendar.ics failed:", e);
+      res.status(500).type("text/plain").send("calendar unavailable\n");
+    }
+  });
+
+  router.get(["/metrics", "/:config/metrics"], async (req, res) => {
+    try {
+      const data = await fetchStatusData(cfgOf(req));
+      res.type("text/plain; version=0.0.4");
+      res.send(metricsText({ results: data.results, cacheStats, version }));
+    } catch (e) {
+      console.error("[Statusio] /metrics failed:", e);
+      res.status(500).type("text/plain").send("# metrics unavailable\n");
+    }
+  });
+
+  return router;
+}
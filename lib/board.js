@@ -0,0 +1,113 @@
+// ============================================================================
+// Statusio • Accounts board (catalog + meta)
+// "My Debrid Accounts" row on the Board/Discover: one item per configured
+// account, each opening a detail page with the full card, usage, expiry
+// history (lib/history.js) and a renew link. Items are built from the same
+// decorated results as the stream cards.
+// Ids look like statusio:<provider>:<n> (n counts that provider's accounts
+// from 1), so they never carry a token and stay stable across refreshes.
+// ============================================================================
+
+import { isGoodResult } from "./refresh.js";
+import { DEFAULT_LANGUAGE, t } from "./i18n.js";
+import { ERROR_TEMPLATES, TEMPLATE_PRESETS } from "./card.js";
+import {
+  describeResult,
+  formatProviderStatusWithBreaks,
+  formatErrorCard,
+  formatHistoryEvent,
+} from "./format.js";
+
+export const BOARD_TYPE = "other";
+export const BOARD_CATALOG_ID = "statusio-accounts";
+export const BOARD_ID_PREFIX = "statusio:";
+
+const HISTORY_LINES = 5;
+
+export const boardCatalog = () => ({
+  type: BOARD_TYPE,
+  id: BOARD_CATALOG_ID,
+  name: "My Debrid Accounts",
+});
+
+export const isBoardId = (id) => String(id || "").startsWith(BOARD_ID_PREFIX);
+
+// [{ id, r }] in result order
+export function boardEntries(results) {
+  const seen = {};
+  return results.map((r) => {
+    seen[r.id] = (seen[r.id] || 0) + 1;
+    return { id: `${BOARD_ID_PREFIX}${r.id}:${seen[r.id]}`, r };
+  });
+}
+
+export const findBoardEntry = (results, id) =>
+  boardEntries(results).find((e) => e.id === id) || null;
+
+// Short line under the title: "🟢 60d" or "⚠️ Error"
+function headline(r, lang) {
+  if (!isGoodResult(r)) return `⚠️ ${t(lang, "status_error")}`;
+  const { days, emoji } = describeResult(r, lang);
+  const n = typeof days === "number" ? `${days}${t(lang, "unit_days")}` : days;
+  return `${emoji} ${n}`;
+}
+
+// opts: { logo, lang, fallbackUrl }
+export function toMetaPreview({ id, r }, opts = {}) {
+  const { logo, lang = DEFAULT_LANGUAGE } = opts;
+  const description = isGoodResult(r)
+    ? formatProviderStatusWithBreaks(r, {
+        template: TEMPLATE_PRESETS.compact,
+        lang,
+        quotes: null,
+      })
+    : formatErrorCard(r, { errorTemplate: ERROR_TEMPLATES.compact, lang });
+  return {
+    id,
+    type: BOARD_TYPE,
+    name: r.displayName || r.name,
+    poster: logo,
+    posterShape: "square",
+    releaseInfo: headline(r, lang),
+    description,
+  };
+}
+
+// Latest events first, under a "📜 History" heading ("" without any)
+function historySection(r, lang) {
+  const events = r.history?.events || [];
+  if (!events.length) return "";
+  const lines = events
+    .slice(-HISTORY_LINES)
+    .reverse()
+    .map((e) => `• ${formatHistoryEvent(e, lang)}`);
+  return [`📜 ${t(lang, "label_history")}`, ...lines].join("\n");
+}
+
+// Detail page: the full card (usage always on, no quote) or the error card
+// with its hint, then the expiry history, plus the provider's renew page as
+// website and link.
+export function toMeta(entry, opts = {}) {
+  const { lang = DEFAULT_LANGUAGE, fallbackUrl } = opts;
+  const { r } = entry;
+  const card = isGoodResult(r)
+    ? formatProviderStatusWithBreaks(r, {
+        template: TEMPLATE_PRESETS.full,
+        lang,
+        quotes: null,
+        usage: true,
+      })
+    : formatErrorCard(r, { errorTemplate: ERROR_TEMPLATES.full, lang });
+  const history = historySection(r, lang);
+  const description = history ? `${card}\n\n${history}` : card;
+  const url = r.renewUrl || fallbackUrl;
+  return {
+    ...toMetaPreview(entry, opts),
+    background: opts.logo,
+    logo: opts.logo,
+    description,
+    website: url,
+    links: [{ name: t(lang, "label_renew"), category: "Statusio", url }],
+    behaviorHints: { defaultVideoId: entry.id },
+  };
+}
@@ -0,0 +1,109 @@
+// ============================================================================
+// Statusio • Cache
+// Size-bounded LRU with per-entry expiry, optionally persisted to a JSON file
+// so restarts don't re-hit every provider API.
+// Keys are salted SHA-256 hashes of the full credentials — never raw tokens,
+// and never a prefix/suffix that two different tokens could share.
+// ============================================================================
+
+import { newSalt, readJsonFile, saltedKey, writeJsonFile } from "./store.js";
+
+const FILE_VERSION = 1;
+const WRITE_DELAY_MS = 2000;
+
+// ----------------------------- Persistence ---------------------------------
+function readStore(file) {
+  const j = readJsonFile(file, "Cache file");
+  if (j?.version !== FILE_VERSION || !Array.isArray(j.entries)) return null;
+  return j;
+}
+
+// ----------------------------- Cache ---------------------------------------
+// opts.maxEntries: LRU bound; opts.file: JSON store path (memory-only if
+// unset); opts.salt: key salt (else persisted in the store, else random).
+export function createCache({ maxEntries = 500, file = null, salt } = {}) {
+  const map = new Map();
+  const stored = file ? readStore(file) : null;
+  const keySalt = salt || stored?.salt || newSalt();
+  let writeTimer = null;
+  let hits = 0;
+  let misses = 0;
+  let evictions = 0;
+
+  if (stored) {
+    const now = Date.now();
+    for (const [k, it] of stored.entries)
+      if (it && it.exp > now) map.set(k, it);
+  }
+
+  function persistSoon() {
+    if (!file || writeTimer) return;
+    writeTimer = setTimeout(flush, WRITE_DELAY_MS);
+    writeTimer.unref?.();
+  }
+
+  function flush() {
+    if (writeTimer) clearTimeout(writeTimer);
+    writeTimer = null;
+    if (!file) return;
+    pruneExpired();
+    const data = {
+      version: FILE_VERSION,
+      salt: keySalt,
+      entries: [...map.entries()],
+    };
+    writeJsonFile(file, data, "Cache file");
+  }
+
+  function pruneExpired() {
+    const now = Date.now();
+    for (const [k, it] of map) if (now > it.exp) map.delete(k);
+  }
+
+  // Hash of any JSON-able key material (credentials, options, …)
+  const keyFor = (material) => saltedKey(keySalt, material);
+
+  function get(key) {
+    const it = map.get(key);
+    if (!it) {
+      misses++;
+      return null;
+    }
+    if (Date.now() > it.exp) {
+      map.delete(key);
+      misses++;
+      return null;
+    }
+    // refresh recency
+    map.delete(key);
+    map.set(key, it);
+    hits++;
+    return it.value;
+  }
+
+  function set(key, value, ttlMs) {
+    map.delete(key);
+    map.set(key, { value, exp: Date.now() + ttlMs });
+    if (map.size > maxEntries) pruneExpired();
+    while (map.size > maxEntries) {
+      map.delete(map.keys().next().value);
+      evictions++;
+    }
+    persistSoon();
+  }
+
+  function del(key) {
+    if (map.delete(key)) persistSoon();
+  }
+
+  const stats = () => ({
+    size: map.size,
+    maxEntries,
+    hits,
+    misses,
+    evictions,
+    persistent: !!file,
+  });
+
+  return { keyFor, get, set, delete: del, flush, stats };
+}
@@ -0,0 +1,153 @@
+// ============================================================================
+// Statusio • Calendar feed (iCalendar / RFC 5545)
+// One all-day "expires" event per premium account, dated on its untilISO,
+// with reminder alarms at the account's Warning/Critical thresholds (or the
+// days listed in calendar_alarms). Served at [/:config]/calendar.ics so
+// Google Calendar, Thunderbird or Nextcloud can subscribe to it.
+// Event UIDs are a hash of provider + account position + username, so an
+// event moves when the account is renewed instead of piling up duplicates.
+// ============================================================================
+
+import crypto from "node:crypto";
+import { isGoodResult } from "./refresh.js";
+import { DEFAULT_THRESHOLDS } from "./thresholds.js";
+import { DEFAULT_LANGUAGE, t } from "./i18n.js";
+
+const MAX_ALARM_DAYS = 365;
+const MAX_ALARMS = 5;
+// Calendar apps poll at their own pace; this is a hint for those that listen
+const REFRESH_INTERVAL = "PT6H";
+
+// ----------------------------- Text helpers --------------------------------
+const escText = (s) =>
+  String(s ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets continue on the next line after a space
+function fold(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let chunk = "";
+  let size = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch, "utf8");
+    if (size + n > (parts.length ? 74 : 75)) {
+      parts.push(chunk);
+      chunk = "";
+      size = 0;
+    }
+    chunk += ch;
+    size += n;
+  }
+  parts.push(chunk);
+  return parts.join("\r\n ");
+}
+
+const stamp = (ms) =>
+  new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+const dateOnly = (ms) =>
+  new Date(ms).toISOString().slice(0, 10).replace(/-/g, "");
+
+// ----------------------------- Alarms --------------------------------------
+// Days before expiry to remind at: blank = the account's thresholds,
+// "off" = none, else a comma-separated list ("14,3,1").
+export function resolveAlarmDays(cfg = {}, thresholds = DEFAULT_THRESHOLDS) {
+  const raw = String(cfg.calendar_alarms || process.env.CALENDAR_ALARMS || "")
+    .trim()
+    .toLowerCase();
+  if (raw === "off") return [];
+  const listed = raw
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(Number)
+    .filter((n) => Number.isInteger(n) && n >= 0 && n <= MAX_ALARM_DAYS);
+  const days = listed.length ? listed : [thresholds.warn, thresholds.crit];
+  return [...new Set(days)].sort((a, b) => b - a).slice(0, MAX_ALARMS);
+}
+
+// ----------------------------- Feed ----------------------------------------
+const uidFor = (r, n) =>
+  crypto
+    .createHash("sha256")
+    .update(`${r.id}\n${n}\n${r.username || ""}`)
+    .digest("hex")
+    .slice(0, 24) + "@statusio";
+
+function eventLines(r, n, { cfg, lang, now }) {
+  const until = Date.parse(r.untilISO);
+  const start = dateOnly(until);
+  const service = r.displayName || r.name;
+  const summary = t(lang, "calendar_expires").replace("{service}", service);
+  const description = [
+    r.username ? `${t(lang, "label_user")}: @${r.username}` : null,
+    r.renewUrl ? `${t(lang, "label_renew")}: ${r.renewUrl}` : null,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  const alarms = resolveAlarmDays(cfg, r.thresholds).flatMap((days) => [
+    "BEGIN:VALARM",
+    "ACTION:DISPLAY",
+    `DESCRIPTION:${escText(
+      t(lang, "calendar_reminder")
+        .replace("{service}", service)
+        .replace("{days}", days)
+    )}`,
+    `TRIGGER:-P${days}D`,
+    "END:VALARM",
+  ]);
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${uidFor(r, n)}`,
+    `DTSTAMP:${stamp(now)}`,
+    `DTSTART;VALUE=DATE:${start}`,
+    `DTEND;VALUE=DATE:${dateOnly(until + 24 * 60 * 60 * 1000)}`,
+    `SUMMARY:${escText(summary)}`,
+    ...(description ? [`DESCRIPTION:${escText(description)}`] : []),
+    ...(r.renewUrl ? [`URL:${r.renewUrl}`] : []),
+    "TRANSP:TRANSPARENT",
+    ...alarms,
+    "END:VEVENT",
+  ];
+}
+
+// results: decorated results (lib/addon.js). Accounts without a premium
+// expiry (free, expired, failed) have no event.
+export function calendarText(results, opts = {}) {
+  const { cfg = {}, lang = DEFAULT_LANGUAGE, now = Date.now() } = opts;
+  const seen = {};
+  const events = results.flatMap((r) => {
+    seen[r.id] = (seen[r.id] || 0) + 1;
+    if (!isGoodResult(r) || !r.premium || !r.untilISO) return [];
+    if (!Number.isFinite(Date.parse(r.untilISO))) return [];
+    return eventLines(r, seen[r.id], { cfg, lang, now });
+  });
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Statusio//Debrid Expiries//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escText(t(lang, "calendar_name"))}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    ...events,
+    "END:VCALENDAR",
+  ];
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+export const calendarConfigFields = () => [
+  {
+    key: "calendar_alarms",
+    type: "text",
+    title:
+      "Calendar Reminders — days before expiry, e.g. 14,3 " +
+      "(blank = Warning/Critical days, off = none)",
+  },
+];
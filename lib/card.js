@@ -0,0 +1,138 @@
+// ============================================================================
+// Statusio • Card templates
+// Tiny placeholder language for the stream description:
+//   {service} {user} {expires} {days} {status} {emoji} {quote} {stale}
+//   {usage} {usage_plain}  (quota lines, see lib/usage.js; may span lines)
+//   {renewed}  (recent renewal, e.g. "Renewed +30d on …", see lib/history.js)
+//   {label_service} {label_user} {label_expires} {label_days} {label_status}
+//   (the label_* placeholders render in the configured language)
+// Lines are separated by "\n" (a literal backslash-n in config works too).
+// A line whose placeholders all render empty is dropped (e.g. "💬 {quote}"
+// with quotes off), so templates don't leave dangling labels behind.
+// ============================================================================
+
+export const TEMPLATE_PRESETS = Object.freeze({
+  full: [
+    "🤝 {label_service}: {service}",
+    "👤 {label_user}: {user}",
+    "⭐ {label_expires}: {expires}",
+    "⏳️ {label_days}: {days}",
+    "{emoji} {label_status}: {status}",
+    "🔄 {renewed}",
+    "{usage}",
+    "💬 {quote}",
+    "🕒 {stale}",
+  ].join("\n"),
+  compact: "{emoji} {service} • {user} • {days}d ({expires}) • {status}",
+  no_emoji: [
+    "{label_service}: {service}",
+    "{label_user}: {user}",
+    "{label_expires}: {expires}",
+    "{label_days}: {days}",
+    "{label_status}: {status}",
+    "{renewed}",
+    "{usage_plain}",
+    "{quote}",
+    "{stale}",
+  ].join("\n"),
+});
+
+// Error cards (provider failed and nothing good is cached) keep the layout
+// family of the chosen preset; custom templates use the full one.
+// Placeholders: {service} {error} {hint} + the label_* set.
+export const ERROR_TEMPLATES = Object.freeze({
+  full: [
+    "🤝 {label_service}: {service}",
+    "⚠️ {label_error}: {error}",
+    "💡 {hint}",
+  ].join("\n"),
+  compact: "⚠️ {service} • {error}",
+  no_emoji: [
+    "{label_service}: {service}",
+    "{label_error}: {error}",
+    "{hint}",
+  ].join("\n"),
+});
+
+export const TEMPLATE_CHOICES = [...Object.keys(TEMPLATE_PRESETS), "custom"];
+
+const MAX_TEMPLATE_LEN = 600;
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+export function resolveTemplate(cfg = {}) {
+  const choice = String(cfg.card_template || "full").trim().toLowerCase();
+  if (choice === "custom") {
+    const custom = String(cfg.card_template_custom || "")
+      .slice(0, MAX_TEMPLATE_LEN)
+      .replace(/\\n/g, "\n");
+    if (custom.trim()) return custom;
+  }
+  return TEMPLATE_PRESETS[choice] || TEMPLATE_PRESETS.full;
+}
+
+export function resolveErrorTemplate(cfg = {}) {
+  const choice = String(cfg.card_template || "full").trim().toLowerCase();
+  return ERROR_TEMPLATES[choice] || ERROR_TEMPLATES.full;
+}
+
+// Unknown placeholders are left as typed so mistakes are visible on the card.
+export function renderTemplate(template, values) {
+  return template
+    .split("\n")
+    .map((line) => {
+      let used = 0;
+      let filled = 0;
+      const out = line.replace(PLACEHOLDER, (m, key) => {
+        if (!(key in values)) return m;
+        used++;
+        const v = values[key] ?? "";
+        if (String(v) !== "") filled++;
+        return String(v);
+      });
+      return used > 0 && filled === 0 ? null : out;
+    })
+    .filter((line) => line !== null)
+    .join("\n");
+}
+
+export const templateConfigFields = () => [
+  {
+    key: "card_template",
+    type: "select",
+    options: TEMPLATE_CHOICES,
+    default: "full",
+    title: "Card Template (full / compact / no_emoji / custom)",
+  },
+  {
+    key: "card_template_custom",
+    type: "text",
+    title:
+      "Custom Template — {service} {user} {expires} {days} {status} {emoji} {quote} {stale} {usage} {renewed}, \\n = new line",
+  },
+  {
+    key: "error_cards",
+    type: "select",
+    options: ["show", "hide"],
+    default: "show",
+    title: "Error Cards (bad token, provider down, …)",
+  },
+  {
+    key: "show_usage",
+    type: "select",
+    options: ["on", "off"],
+    default: "off",
+    title: "Show Usage (points, fair-use, storage, plan)",
+  },
+  {
+    key: "quotes",
+    type: "select",
+    options: ["on", "off"],
+    default: "on",
+    title: "Show Quotes",
+  },
+  {
+    key: "quote_pack_url",
+    type: "text",
+    title: "Custom Quote Pack URL (JSON: ok / warn / crit / expired)",
+  },
+];
@@ -0,0 +1,477 @@
+// ============================================================================
+// Statusio • Configure page
+// Replaces the SDK's flat form with one built from the same manifest.config:
+// fields grouped per provider, secrets masked, selects/toggles, a "Test"
+// button per provider and the install link. Nothing here knows individual
+// keys beyond the registry, so new providers/fields show up automatically.
+//   GET  [/:config]/configure   the page (pre-filled from an install URL)
+//   POST /configure/test        { provider, config } -> { results } per account
+//   POST /configure/seal        { config } -> { blob } (when CONFIG_SECRET set)
+//   POST /configure/login/:provider/start|poll   device-code login
+// ============================================================================
+
+import express from "express";
+import {
+  listProviders,
+  getProvider,
+  resolveOptions,
+  resolveOAuth,
+  parseAccountList,
+  fetchAccount,
+  startLogin,
+  pollLogin,
+} from "../providers/index.js";
+import { resolveThresholds } from "./thresholds.js";
+import { statusOf } from "./api.js";
+
+// Non-provider keys shown first; everything else lands under "Card & Display"
+const GENERAL_KEYS = [
+  "access_key",
+  "cache_minutes",
+  "demo_mode",
+  "warn_days",
+  "crit_days",
+];
+
+// Two-option selects rendered as a checkbox (first option = checked)
+const TOGGLE_ON = ["on", "show"];
+const isToggle = (f) =>
+  f.type === "select" &&
+  f.options?.length === 2 &&
+  TOGGLE_ON.includes(f.options[0]);
+
+const providerKeys = (p) => [
+  p.credential.key,
+  ...(p.fields || []).map((f) => f.key),
+];
+const ownedBy = (p, key) =>
+  providerKeys(p).includes(key) || key.startsWith(`${p.short}_`);
+
+// Never echoed back into a page: tokens, OAuth material, the access key and
+// any other password field
+function secretKeysOf(manifest, providers = listProviders()) {
+  return new Set([
+    "access_key",
+    ...providers.flatMap((p) => [
+      p.credential.key,
+      ...(p.oauth?.fields || []).map((f) => f.key),
+    ]),
+    ...(manifest.config || [])
+      .filter((f) => f.type === "password")
+      .map((f) => f.key),
+  ]);
+}
+
+function withoutSecrets(cfg, manifest) {
+  const secret = secretKeysOf(manifest);
+  return Object.fromEntries(
+    Object.entries(cfg).filter(([k]) => !secret.has(k))
+  );
+}
+
+// [{ id, title, provider?, fields }] in display order
+export function groupFields(config, providers = listProviders()) {
+  const general = { id: "general", title: "General", fields: [] };
+  const card = { id: "card", title: "Card & Display", fields: [] };
+  const byProvider = providers.map((p) => ({
+    id: p.id,
+    title: p.name,
+    provider: p.id,
+    login: !!p.login,
+    fields: [],
+  }));
+  for (const f of config) {
+    const i = providers.findIndex((p) => ownedBy(p, f.key));
+    if (i >= 0) byProvider[i].fields.push(f);
+    else (GENERAL_KEYS.includes(f.key) ? general : card).fields.push(f);
+  }
+  return [general, ...byProvider, card];
+}
+
+// ----------------------------- Page ----------------------------------------
+// Also used by the admin page (lib/operator.js)
+export const escHtml = (s) =>
+  String(s ?? "").replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+        c
+      ])
+  );
+// JSON inside <script> must not be able to close the tag
+const scriptJson = (v) => JSON.stringify(v).replace(/</g, "\\u003c");
+
+function renderField(f, secretKeys) {
+  const id = `f_${f.key}`;
+  const title = escHtml(f.title || f.key);
+  const def = f.default !== undefined ? escHtml(f.default) : "";
+  if (isToggle(f))
+    return `<label class="toggle"><input type="checkbox" id="${id}" data-key="${f.key}" data-on="${escHtml(f.options[0])}" data-off="${escHtml(f.options[1])}"${f.default === f.options[1] ? "" : " checked"}> ${title}</label>`;
+  if (f.type === "select") {
+    const opts = f.options
+      .map(
+        (o) =>
+          `<option value="${escHtml(o)}"${o === f.default ? " selected" : ""}>${escHtml(o)}</option>`
+      )
+      .join("");
+    return `<label for="${id}">${title}</label><select id="${id}" data-key="${f.key}">${opts}</select>`;
+  }
+  const secret = secretKeys.includes(f.key) || f.type === "password";
+  const type = secret ? "password" : f.type === "number" ? "number" : "text";
+  const reveal = secret
+    ? `<button type="button" class="ghost" data-reveal="${id}">Show</button>`
+    : "";
+  const hint = secretKeys.includes(f.key)
+    ? `<small class="hint">Several accounts: <code>Mom: token1, Dad: token2</code></small>`
+    : "";
+  return `<label for="${id}">${title}</label><div class="row"><input type="${type}" id="${id}" data-key="${f.key}" placeholder="${def}" autocomplete="off">${reveal}</div>${hint}`;
+}
+
+function renderGroup(g, secretKeys) {
+  const fields = g.fields.map((f) => renderField(f, secretKeys)).join("\n");
+  const login = g.login
+    ? `<button type="button" class="ghost" data-login="${g.provider}">Log in with code</button>`
+    : "";
+  const test = g.provider
+    ? `<div class="row"><button type="button" data-test="${g.provider}">Test</button>${login}<span class="result" id="r_${g.provider}"></span></div>`
+    : "";
+  return `<details class="group"${g.provider ? "" : " open"}><summary>${escHtml(g.title)}</summary>${fields}${test}</details>`;
+}
+
+// opts.redacted: prefill came from a sealed link with its secrets removed
+export function configurePage(manifest, prefill = {}, opts = {}) {
+  const { sealed = false, redacted = false } = opts;
+  const groups = groupFields(manifest.config || []);
+  const secretKeys = listProviders().map((p) => p.credential.key);
+  const defaults = Object.fromEntries(
+    (manifest.config || [])
+      .filter((f) => f.default !== undefined)
+      .map((f) => [f.key, String(f.default)])
+  );
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escHtml(manifest.name)} — Configure</title>
+<link rel="shortcut icon" href="${escHtml(manifest.logo)}">
+<style>
+body{font-family:system-ui,sans-serif;background:#1b1530;color:#eee;margin:0;padding:2rem 1rem}
+main{max-width:640px;margin:auto}
+h1{display:flex;align-items:center;gap:.6rem;margin:0 0 .3rem}
+h1 img{width:48px;height:48px;border-radius:8px}
+.group{background:#2a2145;border-radius:8px;margin:.8rem 0;padding:.6rem 1rem}
+summary{cursor:pointer;font-weight:600;padding:.3rem 0}
+label{display:block;margin:.7rem 0 .25rem;font-size:.9rem;color:#cfc8e8}
+label.toggle{display:flex;gap:.5rem;align-items:center}
+input,select{width:100%;box-sizing:border-box;padding:.45rem;border-radius:5px;border:1px solid #4a3f6b;background:#16112a;color:#eee}
+input[type=checkbox]{width:auto}
+.row{display:flex;gap:.5rem;align-items:center;margin-top:.5rem}
+button{padding:.45rem .9rem;border:0;border-radius:5px;background:#7b5bf5;color:#fff;cursor:pointer;white-space:nowrap}
+button.ghost{background:#3b3160}
+.result{font-size:.85rem;white-space:pre-line}
+.hint{color:#8f86ad}
+.ok{color:#7ee787}.warn{color:#f2cc60}.bad{color:#ff7b72}
+#link{word-break:break-all;font-size:.8rem;color:#aaa}
+a.install{display:inline-block;margin-top:1rem;padding:.7rem 1.4rem;background:#7b5bf5;color:#fff;border-radius:6px;text-decoration:none;font-weight:600}
+</style></head>
+<body><main>
+<h1><img src="${escHtml(manifest.logo)}" alt="">${escHtml(manifest.name)}</h1>
+<p>${escHtml(manifest.description)} <small>v${escHtml(manifest.version)}</small></p>
+${redacted ? "<p><small>🔒 Opened from an encrypted link: tokens and keys aren't shown. Enter them again before installing.</small></p>" : ""}
+<form id="form" onsubmit="return false">
+${groups.map((g) => renderGroup(g, secretKeys)).join("\n")}
+</form>
+<a class="install" id="install" href="#">Install</a>
+<div class="row"><button type="button" class="ghost" id="copy">Copy manifest URL</button><button type="button" class="ghost" id="copy-ics">Copy calendar URL</button></div>
+<p id="link"></p>
+${sealed ? "<p><small>🔒 Your settings are encrypted into the link; tokens are not readable in it.</small></p>" : ""}
+</main>
+<script>
+const DEFAULTS = ${scriptJson(defaults)};
+const PREFILL = ${scriptJson(prefill)};
+const SEALED = ${sealed};
+const inputs = [...document.querySelectorAll("[data-key]")];
+
+// Operator instances may want their access key on token tests/logins too
+function jsonHeaders() {
+  const key = inputs.find((el) => el.dataset.key === "access_key");
+  const headers = { "Content-Type": "application/json" };
+  if (key && key.value.trim()) headers["X-Access-Key"] = key.value.trim();
+  return headers;
+}
+
+for (const el of inputs) {
+  const v = PREFILL[el.dataset.key];
+  if (v === undefined || v === null) continue;
+  if (el.type === "checkbox") el.checked = String(v) === el.dataset.on;
+  else el.value = String(v);
+}
+
+// Only keys that differ from the defaults go into the URL
+function collect() {
+  const cfg = {};
+  for (const el of inputs) {
+    const k = el.dataset.key;
+    const v = el.type === "checkbox"
+      ? (el.checked ? el.dataset.on : el.dataset.off)
+      : el.value.trim();
+    if (v !== "" && v !== DEFAULTS[k]) cfg[k] = v;
+  }
+  return cfg;
+}
+
+// With sealing on, the server turns the config into an opaque segment
+async function configSegment(cfg) {
+  if (!Object.keys(cfg).length) return "";
+  if (!SEALED) return encodeURIComponent(JSON.stringify(cfg)) + "/";
+  const res = await fetch("/configure/seal", {
+    method: "POST",
+    headers: jsonHeaders(),
+    body: JSON.stringify({ config: cfg }),
+  });
+  const j = await res.json();
+  if (!res.ok || !j.blob) throw new Error(j.error || "HTTP " + res.status);
+  return j.blob + "/";
+}
+
+let currentUrl = "";
+let pending = null;
+async function update() {
+  const seq = (pending = {});
+  try {
+    const seg = await configSegment(collect());
+    const url = location.origin + "/" + seg + "manifest.json";
+    if (seq !== pending) return;
+    currentUrl = url;
+    const install = url.replace(/^https?:/, "stremio:");
+    document.getElementById("install").href = install;
+    document.getElementById("link").textContent = url;
+  } catch (e) {
+    if (seq === pending)
+      document.getElementById("link").textContent = "✖ " + e.message;
+  }
+}
+
+let timer = null;
+const schedule = () => {
+  clearTimeout(timer);
+  timer = setTimeout(update, SEALED ? 300 : 0);
+};
+document.getElementById("form").addEventListener("input", schedule);
+document.getElementById("form").addEventListener("change", schedule);
+const copyButton = (id, label, url) =>
+  document.getElementById(id).addEventListener("click", async (e) => {
+    await navigator.clipboard?.writeText(url());
+    e.target.textContent = "Copied";
+    setTimeout(() => (e.target.textContent = label), 1500);
+  });
+copyButton("copy", "Copy manifest URL", () => currentUrl);
+// Same config segment, calendar feed instead of the manifest
+copyButton("copy-ics", "Copy calendar URL", () =>
+  currentUrl.replace(/manifest\.json$/, "calendar.ics")
+);
+
+for (const b of document.querySelectorAll("[data-reveal]"))
+  b.addEventListener("click", () => {
+    const el = document.getElementById(b.dataset.reveal);
+    el.type = el.type === "password" ? "text" : "password";
+    b.textContent = el.type === "password" ? "Show" : "Hide";
+  });
+
+const BAND_CLASS = { ok: "ok", warn: "warn", crit: "bad", expired: "bad" };
+for (const b of document.querySelectorAll("[data-test]"))
+  b.addEventListener("click", async () => {
+    const out = document.getElementById("r_" + b.dataset.test);
+    out.className = "result";
+    out.textContent = "Checking…";
+    try {
+      const res = await fetch("/configure/test", {
+        method: "POST",
+        headers: jsonHeaders(),
+        body: JSON.stringify({ provider: b.dataset.test, config: collect() }),
+      });
+      const j = await res.json();
+      if (!res.ok || !j.results)
+        throw new Error(j.error || "HTTP " + res.status);
+      // One line per account; the colour follows the worst one
+      let cls = "ok";
+      const lines = j.results.map((r) => {
+        const nick = r.nickname ? r.nickname + ": " : "";
+        if (r.error) {
+          cls = "bad";
+          return nick + "✖ " + r.error + (r.note ? " — " + r.note : "");
+        }
+        if (r.premium === null && !r.username) {
+          if (cls === "ok") cls = "warn";
+          return nick + "? " + (r.note || "no data");
+        }
+        const s = r.status || {};
+        const band = BAND_CLASS[s.band] || "ok";
+        if (band === "bad" || (band === "warn" && cls === "ok")) cls = band;
+        const who = r.username ? "@" + r.username + " · " : "";
+        const days = r.premium
+          ? (r.daysLeft ?? "—") + " days" +
+            (r.untilISO ? " (until " + r.untilISO.slice(0, 10) + ")" : "")
+          : "not premium";
+        return nick + (s.emoji ? s.emoji + " " : "") + who + days;
+      });
+      out.className = "result " + cls;
+      out.textContent = lines.join("\n");
+    } catch (e) {
+      out.className = "result bad";
+      out.textContent = "✖ " + e.message;
+    }
+  });
+
+// Device-code login: show the code, poll until approved, fill the fields
+const post = async (url, body) => {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: jsonHeaders(),
+    body: JSON.stringify(body),
+  });
+  const j = await res.json();
+  if (!res.ok) throw new Error(j.error || "HTTP " + res.status);
+  return j;
+};
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+for (const b of document.querySelectorAll("[data-login]"))
+  b.addEventListener("click", async () => {
+    const id = b.dataset.login;
+    const out = document.getElementById("r_" + id);
+    const base = "/configure/login/" + id;
+    b.disabled = true;
+    out.className = "result";
+    try {
+      const s = await post(base + "/start", {});
+      out.innerHTML = "";
+      const link = document.createElement("a");
+      link.href = s.verificationUrl;
+      link.target = "_blank";
+      link.textContent = s.verificationUrl;
+      out.append("Go to ", link, " and enter ");
+      const code = document.createElement("b");
+      code.textContent = s.userCode;
+      out.append(code);
+      const until = Date.now() + s.expiresIn * 1000;
+      while (Date.now() < until) {
+        await sleep(s.interval * 1000);
+        const p = await post(base + "/poll", { session: s.session });
+        if (p.status === "pending") continue;
+        if (p.status !== "done") throw new Error("code expired, try again");
+        for (const [k, v] of Object.entries(p.config)) {
+          const el = inputs.find((x) => x.dataset.key === k);
+          if (!el) continue;
+          if (el.type === "checkbox") el.checked = String(v) === el.dataset.on;
+          else el.value = String(v);
+        }
+        out.className = "result ok";
+        out.textContent = "✔ Logged in — press Test to check";
+        schedule();
+        return;
+      }
+      throw new Error("code expired, try again");
+    } catch (e) {
+      out.className = "result bad";
+      out.textContent = "✖ " + e.message;
+    } finally {
+      b.disabled = false;
+    }
+  });
+
+update();
+</script>
+</body></html>`;
+}
+
+// ----------------------------- Router --------------------------------------
+// deps: { manifest, parseConfig(raw), sealer?, fetchImpl? }
+export function createConfigureRouter({
+  manifest,
+  parseConfig,
+  sealer,
+  fetchImpl,
+}) {
+  const router = express.Router();
+  const sealed = !!sealer?.enabled;
+
+  router.get("/", (_req, res) => res.redirect("/configure"));
+  router.get(["/configure", "/:config/configure"], (req, res) => {
+    const cfg = req.params.config ? parseConfig(req.params.config) : {};
+    // Anyone holding a sealed link must not be able to read its tokens here
+    const redacted = !!req.sealedConfig;
+    const prefill = redacted ? withoutSecrets(cfg, manifest) : cfg;
+    res
+      .type("html")
+      .send(configurePage(manifest, prefill, { sealed, redacted }));
+  });
+
+  // Only the token typed into the form is tested — never the ENV fallback
+  router.post(
+    "/configure/test",
+    express.json({ limit: "16kb" }),
+    async (req, res) => {
+      const provider = getProvider(req.body?.provider);
+      if (!provider) return res.status(400).json({ error: "unknown provider" });
+      const cfg = parseConfig(req.body?.config ?? {});
+      const oauth = resolveOAuth(provider, cfg);
+      const list = oauth
+        ? [{ credential: "", nickname: null }]
+        : parseAccountList(cfg[provider.credential.key]);
+      if (!list.length)
+        return res
+          .status(400)
+          .json({ error: `enter a ${provider.credential.noun} first` });
+
+      const options = resolveOptions(provider, cfg);
+      const thresholds = resolveThresholds(cfg, provider);
+      const results = await Promise.all(
+        list.map(async ({ credential, nickname }) => {
+          const r = await fetchAccount(
+            { provider, credential, oauth, options },
+            fetchImpl
+          );
+          const result = { ...r, nickname, thresholds };
+          return { ...result, status: statusOf(result) };
+        })
+      );
+      res.json({ results });
+    }
+  );
+
+  router.post(
+    "/configure/seal",
+    express.json({ limit: "16kb" }),
+    (req, res) => {
+      if (!sealed)
+        return res.status(404).json({ error: "sealing is not enabled" });
+      const cfg = parseConfig(req.body?.config ?? {});
+      res.json({ blob: sealer.seal(cfg) });
+    }
+  );
+
+  const loginRoute = (run) => async (req, res) => {
+    const provider = getProvider(req.params.provider);
+    if (!provider?.login)
+      return res.status(404).json({ error: "login not supported" });
+    try {
+      res.json(await run(provider, req.body || {}));
+    } catch (e) {
+      console.warn(`[Statusio] ${provider.name} login: ${e.message}`);
+      res.status(502).json({ error: e.message });
+    }
+  };
+  router.post(
+    "/configure/login/:provider/start",
+    loginRoute((provider) => startLogin(provider, fetchImpl))
+  );
+  router.post(
+    "/configure/login/:provider/poll",
+    express.json({ limit: "4kb" }),
+    loginRoute((provider, body) =>
+      pollLogin(provider, String(body.session || ""), fetchImpl)
+    )
+  );
+
+  return router;
+}
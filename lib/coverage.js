@@ -0,0 +1,85 @@
+// ============================================================================
+// Statusio • Stream coverage
+// Which item types and id prefixes get a status card. The default stays the
+// classic IMDb movies/series; anime (kitsu:, mal:, …), TV channels and other
+// catalog add-ons' id schemes can be switched on per install (stream_types,
+// id_prefixes) or instance-wide (STREAM_TYPES, ID_PREFIXES). "*" as the
+// prefix list means every id.
+// Provider data is cached per account (lib/refresh.js), so a wider coverage
+// means more cards served, not more provider API calls.
+// ============================================================================
+
+export const DEFAULT_STREAM_TYPES = ["movie", "series"];
+export const DEFAULT_ID_PREFIXES = ["tt"];
+
+// Suggested in the config titles; any well-formed value is accepted
+const KNOWN_TYPES = ["movie", "series", "anime", "channel", "tv"];
+const KNOWN_PREFIXES = ["tt", "kitsu:", "mal:", "anilist:", "anidb:", "tmdb:"];
+
+const MAX_ITEMS = 20;
+const TYPE_RE = /^[a-z0-9_-]{1,32}$/;
+const PREFIX_RE = /^[a-z0-9_.-]{1,32}:?$/i;
+
+const listOf = (value) =>
+  String(value ?? "")
+    .split(/[\s,]+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+export function resolveStreamTypes(cfg = {}) {
+  const raw = listOf(cfg.stream_types || process.env.STREAM_TYPES)
+    .map((s) => s.toLowerCase())
+    .filter((s) => TYPE_RE.test(s));
+  const types = [...new Set(raw)].slice(0, MAX_ITEMS);
+  return types.length ? types : DEFAULT_STREAM_TYPES;
+}
+
+// Array of prefixes, or null for "every id"
+export function resolveIdPrefixes(cfg = {}) {
+  const raw = listOf(cfg.id_prefixes || process.env.ID_PREFIXES);
+  if (raw.includes("*")) return null;
+  const prefixes = [...new Set(raw.filter((s) => PREFIX_RE.test(s)))].slice(
+    0,
+    MAX_ITEMS
+  );
+  return prefixes.length ? prefixes : DEFAULT_ID_PREFIXES;
+}
+
+export function coversStream({ type, id } = {}, cfg = {}) {
+  const reqId = String(id || "");
+  if (!reqId || !resolveStreamTypes(cfg).includes(String(type || "")))
+    return false;
+  const prefixes = resolveIdPrefixes(cfg);
+  return !prefixes || prefixes.some((p) => reqId.startsWith(p));
+}
+
+// The manifest's stream resource for this config; `extra` adds the types and
+// prefixes Statusio always serves (the accounts board).
+export function streamResource(cfg = {}, extra = {}) {
+  const { types = [], idPrefixes = [] } = extra;
+  const prefixes = resolveIdPrefixes(cfg);
+  const resource = {
+    name: "stream",
+    types: [...new Set([...resolveStreamTypes(cfg), ...types])],
+  };
+  if (prefixes)
+    resource.idPrefixes = [...new Set([...prefixes, ...idPrefixes])];
+  return resource;
+}
+
+export const coverageConfigFields = () => [
+  {
+    key: "stream_types",
+    type: "text",
+    default: DEFAULT_STREAM_TYPES.join(","),
+    title: `Show Card on Types (comma-separated: ${KNOWN_TYPES.join(", ")})`,
+  },
+  {
+    key: "id_prefixes",
+    type: "text",
+    default: DEFAULT_ID_PREFIXES.join(","),
+    title: `Show Card for ID Prefixes (e.g. ${KNOWN_PREFIXES.join(
+      ", "
+    )}; * = all)`,
+  },
+];
@@ -0,0 +1,109 @@
+// ============================================================================
+// Statusio • Demo Mode
+// Fabricated provider results for previews/screenshots — no tokens needed.
+//   all_active : every provider premium, spread across OK / Warning / Critical
+//   some_off   : mix of OK, Warning, Critical, Expired, free and error states
+//                (invalid token, provider down, rate limited)
+// ============================================================================
+
+import { listProviders } from "../providers/index.js";
+import {
+  DAY_MS,
+  ERROR_CATEGORIES,
+  errorResult,
+  freeResult,
+} from "../providers/util.js";
+
+export const DEMO_MODES = ["off", "all_active", "some_off"];
+
+const ACTIVE_DAYS = [120, 12, 2, 45, 7, 1, 30, 90];
+
+// Sample quota data so show_usage has something to preview
+const DEMO_USAGE = [
+  { points: 1200 },
+  { points: 340, trafficLeftBytes: 25e9 },
+  { fairUsePct: 42, spaceUsedBytes: 312e9 },
+  { plan: "Pro", downloadedBytes: 2.4e12 },
+];
+
+// The first provider shows a recent renewal ({renewed}, board history)
+function demoHistory(untilISO) {
+  const now = Date.now();
+  const until = Date.parse(untilISO);
+  const renewed = {
+    type: "renewed",
+    at: new Date(now - 3 * DAY_MS).toISOString(),
+    from: new Date(until - 30 * DAY_MS).toISOString(),
+    to: untilISO,
+    addedDays: 30,
+    lapsedDays: null,
+  };
+  return {
+    points: [
+      {
+        at: new Date(now - 10 * DAY_MS).toISOString(),
+        until: renewed.from,
+        premium: true,
+      },
+      { at: renewed.at, until: untilISO, premium: true },
+    ],
+    events: [renewed],
+    lastRenewal: renewed,
+    lastLapse: null,
+  };
+}
+
+// Cycled over the registry so every state shows up at least once.
+const SOME_OFF = [
+  { days: 60 },
+  { days: 10 },
+  { days: 2 },
+  { expired: true },
+  { error: ERROR_CATEGORIES.AUTH, note: "HTTP 401" },
+  { free: true },
+  { error: ERROR_CATEGORIES.DOWN, note: "network timeout" },
+  { error: ERROR_CATEGORIES.RATE_LIMITED, note: "HTTP 429" },
+];
+
+export function resolveDemoMode(cfg = {}) {
+  const raw = String(cfg.demo_mode || process.env.DEMO_MODE || "off")
+    .trim()
+    .toLowerCase();
+  return DEMO_MODES.includes(raw) ? raw : "off";
+}
+
+function demoResult(provider, state, usage) {
+  const base = { id: provider.id, name: provider.name };
+  const username = `demo_${provider.short}`;
+  if (state.error)
+    return { ...base, ...errorResult(state.error, state.note) };
+  if (state.expired)
+    return {
+      ...base,
+      ...freeResult(username, "demo: expired"),
+      untilISO: new Date(Date.now() - 3 * DAY_MS).toISOString(),
+    };
+  if (state.free)
+    return { ...base, ...freeResult(username, "demo: free plan") };
+  return {
+    ...base,
+    premium: true,
+    daysLeft: state.days,
+    untilISO: new Date(Date.now() + state.days * DAY_MS).toISOString(),
+    username,
+    ...(usage ? { usage } : {}),
+  };
+}
+
+export function demoResults(mode) {
+  return listProviders().map((p, i) => {
+    const usage = DEMO_USAGE[i];
+    const r =
+      mode === "some_off"
+        ? demoResult(p, SOME_OFF[i % SOME_OFF.length], usage)
+        : demoResult(p, { days: ACTIVE_DAYS[i % ACTIVE_DAYS.length] }, usage);
+    return i === 0 && r.premium
+      ? { ...r, history: demoHistory(r.untilISO) }
+      : r;
+  });
+}
@@ -0,0 +1,143 @@
+// ============================================================================
+// Statusio • Card text
+// Pure formatting of (decorated) results into stream descriptions: one card
+// per provider, error cards, and the summary card. No I/O — quotes, template
+// and language are resolved by the caller and passed in as options.
+// ============================================================================
+
+import { BAND_RANK, getStatusInfo } from "./thresholds.js";
+import { isGoodResult, formatAge } from "./refresh.js";
+import { builtinQuotes, pick } from "./quotes.js";
+import {
+  DEFAULT_LANGUAGE,
+  t,
+  formatDate,
+  formatNumber,
+  labelsFor,
+} from "./i18n.js";
+import {
+  resolveTemplate,
+  resolveErrorTemplate,
+  renderTemplate,
+} from "./card.js";
+import { formatUsage } from "./usage.js";
+import { recentRenewal } from "./history.js";
+
+// How long a renewal stays on the card
+const RENEWED_NOTE_DAYS = 14;
+
+// Card-ready view of one result: display days/date plus its status band
+export function describeResult(r, lang = DEFAULT_LANGUAGE) {
+  const days = Number.isFinite(r.daysLeft) && r.daysLeft !== null
+    ? r.daysLeft
+    : r.premium
+    ? "—"
+    : 0;
+  const dateStr = r.untilISO
+    ? formatDate(r.untilISO, lang)
+    : r.premium
+    ? "—"
+    : t(lang, "not_available");
+  const numericDays = typeof days === "number" ? days : 9999;
+  return {
+    days,
+    dateStr,
+    numericDays,
+    ...getStatusInfo(numericDays, r.thresholds),
+  };
+}
+
+// One history event as text: "Renewed +30d on 2026-09-02" / "Lapsed on …"
+export function formatHistoryEvent(e, lang = DEFAULT_LANGUAGE) {
+  const date = formatDate(e.at, lang);
+  if (e.type === "lapsed")
+    return t(lang, "lapsed_note").replace("{date}", date);
+  const text = t(lang, "renewed_note")
+    .replace("{days}", formatNumber(e.addedDays, lang))
+    .replace("{date}", date);
+  if (!e.lapsedDays) return text;
+  const lapse = t(lang, "lapse_length").replace("{days}", e.lapsedDays);
+  return `${text} (${lapse})`;
+}
+
+// opts.template: card template (see lib/card.js); opts.lang: card language;
+// opts.quotes: quote sets per band, or null to leave {quote} empty;
+// opts.usage: render the quota lines into {usage}/{usage_plain}.
+export function formatProviderStatusWithBreaks(r, opts = {}) {
+  const {
+    template = resolveTemplate(),
+    lang = DEFAULT_LANGUAGE,
+    quotes = builtinQuotes(lang),
+    usage = false,
+  } = opts;
+  const user = r?.username ? `@${String(r.username)}` : "—";
+  const { days, dateStr, emoji, band } = describeResult(r, lang);
+  const age = r.stale ? formatAge(Date.now() - r.fetchedAt) : null;
+  const stale = age ? t(lang, "stale_note").replace("{age}", age) : "";
+  const renewal = recentRenewal(r.history, RENEWED_NOTE_DAYS);
+
+  // ONLY the template lines, joined by \n — no trailing footer
+  return renderTemplate(template, {
+    ...labelsFor(lang),
+    service: r.displayName || r.name,
+    user,
+    expires: dateStr,
+    days,
+    status: t(lang, `status_${band}`),
+    emoji,
+    quote: quotes ? pick(quotes[band]) : "",
+    stale,
+    renewed: renewal ? formatHistoryEvent(renewal, lang) : "",
+    usage: usage ? formatUsage(r.usage, lang) : "",
+    usage_plain: usage ? formatUsage(r.usage, lang, { emoji: false }) : "",
+  });
+}
+
+// Error card: the provider failed and there's no good result to fall back on
+export function formatErrorCard(r, opts = {}) {
+  const { errorTemplate = resolveErrorTemplate(), lang = DEFAULT_LANGUAGE } =
+    opts;
+  return renderTemplate(errorTemplate, {
+    ...labelsFor(lang),
+    service: r.displayName || r.name,
+    error: t(lang, `error_${r.error}`),
+    hint: t(lang, `hint_${r.error}`),
+  });
+}
+
+// Summary mode: worst-status header, then one line per provider sorted by
+// soonest expiry, failed providers last. Returns { text, worst } so the
+// caller can link the card to the most urgent provider.
+export function formatSummary(results, opts = {}) {
+  const { lang = DEFAULT_LANGUAGE, quotes = builtinQuotes(lang) } = opts;
+  const rows = results
+    .filter(isGoodResult)
+    .map((r) => ({ r, d: describeResult(r, lang) }))
+    .sort((a, b) => a.d.numericDays - b.d.numericDays);
+  const failed = results.filter((r) => !isGoodResult(r) && r.error);
+  const worst = rows.reduce(
+    (w, row) => (!w || BAND_RANK[row.d.band] > BAND_RANK[w.d.band] ? row : w),
+    null
+  );
+  if (!worst && !failed.length) return { text: "", worst: null };
+
+  const unit = t(lang, "unit_days");
+  const overall = t(lang, "label_overall");
+  const header = worst
+    ? `${worst.d.emoji} ${overall}: ${t(lang, `status_${worst.d.band}`)}`
+    : `⚠️ ${overall}: ${t(lang, "status_error")}`;
+  const lines = [
+    header,
+    ...rows.map(({ r, d }) => {
+      const days = typeof d.days === "number" ? `${d.days}${unit}` : d.days;
+      const mark = r.stale ? " 🕒" : "";
+      const name = r.displayName || r.name;
+      return `${d.emoji} ${name}: ${days} (${d.dateStr})${mark}`;
+    }),
+    ...failed.map(
+      (r) => `⚠️ ${r.displayName || r.name}: ${t(lang, `error_${r.error}`)}`
+    ),
+  ];
+  if (quotes && worst) lines.push(`💬 ${pick(quotes[worst.d.band])}`);
+  return { text: lines.join("\n"), worst: worst ? worst.r : failed[0] };
+}
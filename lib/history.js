@@ -0,0 +1,165 @@
+// ============================================================================
+// Statusio • Expiry history
+// Remembers each account's expiry over time so renewals and lapses can be
+// shown ("Renewed +30d on 2026-09-02") and exported (/api/history).
+//   points  { at, until, premium } — appended only when the expiry changes
+//   events  renewed: expiry jumped forward (or premium came back), with the
+//                    days added and, after a lapse, how long it lasted
+//           lapsed:  premium ended
+// Accounts are keyed by a salted hash of provider + credential — no tokens
+// are stored. Memory-only unless HISTORY_FILE is set; the file is written
+// like the cache file (debounced, write-then-rename, on shutdown).
+// ============================================================================
+
+import { newSalt, readJsonFile, saltedKey, writeJsonFile } from "./store.js";
+import { isGoodResult } from "./refresh.js";
+import { DAY_MS } from "../providers/util.js";
+
+const FILE_VERSION = 1;
+const WRITE_DELAY_MS = 2000;
+const MAX_POINTS = 50;
+const MAX_EVENTS = 20;
+// Expiry moving by less than this is provider jitter, not a renewal
+const JITTER_MS = 12 * 60 * 60 * 1000;
+
+// ----------------------------- Persistence ---------------------------------
+function readStore(file) {
+  const j = readJsonFile(file, "History file");
+  if (j?.version !== FILE_VERSION || !Array.isArray(j.accounts)) return null;
+  return j;
+}
+
+// ----------------------------- Detection -----------------------------------
+const iso = (ms) => new Date(ms).toISOString();
+const days = (ms) => Math.round(ms / DAY_MS);
+
+// Event for the step prev -> cur, or null. `lapse` is the open lapse event
+// (premium ended and hasn't come back), if any.
+function detect(prev, cur, lapse, now) {
+  if (!prev) return null;
+  if (prev.premium && !cur.premium) {
+    const ended = Date.parse(prev.until);
+    return {
+      type: "lapsed",
+      at: Number.isFinite(ended) && ended < now ? prev.until : iso(now),
+      from: prev.until,
+    };
+  }
+  if (!cur.premium || !cur.until) return null;
+  const to = Date.parse(cur.until);
+  if (!prev.premium) {
+    const since = lapse ? Date.parse(lapse.at) : NaN;
+    return {
+      type: "renewed",
+      at: iso(now),
+      from: null,
+      to: cur.until,
+      addedDays: days(to - now),
+      lapsedDays: Number.isFinite(since) ? days(now - since) : null,
+    };
+  }
+  const from = Date.parse(prev.until);
+  if (!Number.isFinite(from) || to - from < JITTER_MS) return null;
+  return {
+    type: "renewed",
+    at: iso(now),
+    from: prev.until,
+    to: cur.until,
+    addedDays: days(to - from),
+    lapsedDays: null,
+  };
+}
+
+// What results carry as `history` (the store entry minus bookkeeping)
+function viewOf(acc) {
+  if (!acc) return null;
+  const last = (type) => acc.events.findLast((e) => e.type === type) || null;
+  return {
+    points: acc.points,
+    events: acc.events,
+    lastRenewal: last("renewed"),
+    lastLapse: last("lapsed"),
+  };
+}
+
+// ----------------------------- History -------------------------------------
+// opts.file: JSON store path (memory-only if unset); opts.maxAccounts: bound,
+// least recently seen accounts are dropped first; opts.salt: key salt (else
+// persisted in the store, else random).
+export function createHistory({ file = null, maxAccounts = 1000, salt } = {}) {
+  const accounts = new Map();
+  const stored = file ? readStore(file) : null;
+  const keySalt = salt || stored?.salt || newSalt();
+  let writeTimer = null;
+
+  if (stored) for (const [k, acc] of stored.accounts) accounts.set(k, acc);
+
+  function persistSoon() {
+    if (!file || writeTimer) return;
+    writeTimer = setTimeout(flush, WRITE_DELAY_MS);
+    writeTimer.unref?.();
+  }
+
+  function flush() {
+    if (writeTimer) clearTimeout(writeTimer);
+    writeTimer = null;
+    if (!file) return;
+    const data = {
+      version: FILE_VERSION,
+      salt: keySalt,
+      accounts: [...accounts.entries()],
+    };
+    writeJsonFile(file, data, "History file");
+  }
+
+  // Same account material as the results cache key
+  const keyFor = (providerId, credential) =>
+    saltedKey(keySalt, ["history", providerId, credential]).slice(0, 32);
+
+  // Records a fresh result and returns the account's history view. Errors
+  // and stale results say nothing new about the expiry and are skipped.
+  function record(key, r, now = Date.now()) {
+    let acc = accounts.get(key);
+    if (!isGoodResult(r) || r.stale) return viewOf(acc);
+
+    if (!acc) acc = { provider: r.id, points: [], events: [] };
+    accounts.delete(key);
+    accounts.set(key, acc);
+    while (accounts.size > maxAccounts)
+      accounts.delete(accounts.keys().next().value);
+
+    const cur = {
+      at: iso(now),
+      until: r.premium ? r.untilISO || null : null,
+      premium: !!r.premium,
+    };
+    const prev = acc.points.at(-1);
+    if (prev && prev.until === cur.until && prev.premium === cur.premium)
+      return viewOf(acc);
+
+    const last = acc.events.at(-1);
+    const lapse = last?.type === "lapsed" ? last : null;
+    const event = detect(prev, cur, lapse, now);
+    if (event) acc.events = [...acc.events, event].slice(-MAX_EVENTS);
+    acc.points = [...acc.points, cur].slice(-MAX_POINTS);
+    persistSoon();
+    return viewOf(acc);
+  }
+
+  const get = (key) => viewOf(accounts.get(key));
+
+  const stats = () => ({
+    accounts: accounts.size,
+    maxAccounts,
+    persistent: !!file,
+  });
+
+  return { keyFor, record, get, flush, stats };
+}
+
+// Most recent renewal, if it happened within `withinDays`
+export function recentRenewal(history, withinDays, now = Date.now()) {
+  const e = history?.lastRenewal;
+  if (!e) return null;
+  return now - Date.parse(e.at) <= withinDays * DAY_MS ? e : null;
+}
@@ -0,0 +1,303 @@
+// ============================================================================
+// Statusio • Localization
+// Card labels, status names, date formatting and quote sets per language.
+// Any string missing from a language falls back to English; a language with
+// no quotes of its own for a band uses the English built-ins (lib/quotes.js).
+// ============================================================================
+
+export const DEFAULT_LANGUAGE = "en";
+
+const STRINGS = {
+  en: {
+    label_service: "Service",
+    label_user: "User",
+    label_expires: "Expires",
+    label_days: "Days left",
+    label_status: "Status",
+    status_ok: "OK",
+    status_warn: "Warning",
+    status_crit: "Critical",
+    status_expired: "Expired",
+    not_available: "N/A",
+    label_overall: "Overall",
+    unit_days: "d",
+    stale_note: "Last checked {age} ago",
+    status_error: "Error",
+    label_error: "Error",
+    error_auth: "Invalid or expired token",
+    hint_auth: "Copy a fresh API token from your provider into Configure.",
+    error_down: "Provider unreachable",
+    hint_down: "Their API is down or slow — Statusio will retry.",
+    error_rate_limited: "Rate limited",
+    hint_rate_limited: "Too many requests — Statusio will retry shortly.",
+    error_unexpected: "Unexpected response",
+    hint_unexpected: "The provider's API may have changed — check for a Statusio update.",
+    usage_points: "Points",
+    usage_fair_use: "Fair-use",
+    usage_used: "used",
+    usage_storage: "Storage",
+    usage_traffic_left: "Traffic left",
+    usage_plan: "Plan",
+    usage_downloaded: "Downloaded",
+    label_renew: "Renew / manage account",
+    label_history: "History",
+    renewed_note: "Renewed +{days}d on {date}",
+    lapsed_note: "Lapsed on {date}",
+    lapse_length: "after {days}d without premium",
+    calendar_name: "Debrid expiries",
+    calendar_expires: "{service} expires",
+    calendar_reminder: "{service} expires in {days} days",
+  },
+
+  de: {
+    label_service: "Dienst",
+    label_user: "Benutzer",
+    label_expires: "Läuft ab",
+    label_days: "Tage übrig",
+    label_status: "Status",
+    status_ok: "OK",
+    status_warn: "Warnung",
+    status_crit: "Kritisch",
+    status_expired: "Abgelaufen",
+    not_available: "k. A.",
+    label_overall: "Gesamt",
+    unit_days: "T",
+    stale_note: "Zuletzt geprüft vor {age}",
+    status_error: "Fehler",
+    label_error: "Fehler",
+    error_auth: "Ungültiger oder abgelaufener Token",
+    hint_auth: "Neuen API-Token beim Anbieter kopieren und in Configure einfügen.",
+    error_down: "Anbieter nicht erreichbar",
+    hint_down: "Die API ist down oder langsam — Statusio versucht es erneut.",
+    error_rate_limited: "Zu viele Anfragen",
+    hint_rate_limited: "Rate-Limit erreicht — Statusio versucht es gleich erneut.",
+    error_unexpected: "Unerwartete Antwort",
+    hint_unexpected: "Die API des Anbieters hat sich evtl. geändert — nach Statusio-Updates schauen.",
+    usage_points: "Punkte",
+    usage_fair_use: "Fair-Use",
+    usage_used: "genutzt",
+    usage_storage: "Speicher",
+    usage_traffic_left: "Restvolumen",
+    usage_plan: "Tarif",
+    usage_downloaded: "Heruntergeladen",
+    label_renew: "Konto verlängern / verwalten",
+    label_history: "Verlauf",
+    renewed_note: "Verlängert +{days} T am {date}",
+    lapsed_note: "Abgelaufen am {date}",
+    lapse_length: "nach {days} T ohne Premium",
+    calendar_name: "Debrid-Abläufe",
+    calendar_expires: "{service} läuft ab",
+    calendar_reminder: "{service} läuft in {days} Tagen ab",
+    quotes: {
+      ok: [
+        "Zeit zum Bingen!", "Popcorn ist Pflicht.", "Nur noch eine Folge…",
+        "Couch-Modus: aktiviert", "Abspann? Nächste Folge!", "Schlaf wird überbewertet",
+        "Snacks > Miete", "Serienmarathon läuft", "Fernbedienung bleibt hier",
+      ],
+      warn: [
+        "Verlängern vor dem Cliffhanger.", "Günstiger als Snacks.",
+        "Jetzt verlängern, später bingen.", "Klick. Verlängern. Weiter.",
+        "Dein zukünftiges Ich dankt dir.", "Kein Pause-Knopf für den Spaß.",
+      ],
+      crit: [
+        "Bosskampf: Verlängerung.", "Die Zeit läuft ab!", "Bitte bald verlängern…",
+        "Verpass das Finale nicht.", "3…2…verlängern.", "Rette das Wochenende.",
+      ],
+      expired: [
+        "Jetzt verlängern, um weiterzuschauen.", "Abo abgelaufen. Autsch.",
+        "Die Paywall hat gewonnen.", "Zurück ins echte Leben…",
+        "Nächste Folge wartet auf Zahlung.", "Snackpause bis zur Verlängerung.",
+      ],
+    },
+  },
+
+  "pt-BR": {
+    label_service: "Serviço",
+    label_user: "Usuário",
+    label_expires: "Expira em",
+    label_days: "Dias restantes",
+    label_status: "Status",
+    status_ok: "OK",
+    status_warn: "Atenção",
+    status_crit: "Crítico",
+    status_expired: "Expirado",
+    not_available: "N/D",
+    label_overall: "Geral",
+    unit_days: "d",
+    stale_note: "Verificado há {age}",
+    status_error: "Erro",
+    label_error: "Erro",
+    error_auth: "Token inválido ou expirado",
+    hint_auth: "Copie um novo token de API do provedor para o Configure.",
+    error_down: "Provedor indisponível",
+    hint_down: "A API está fora do ar ou lenta — o Statusio tentará de novo.",
+    error_rate_limited: "Limite de requisições",
+    hint_rate_limited: "Requisições demais — o Statusio tentará de novo em breve.",
+    error_unexpected: "Resposta inesperada",
+    hint_unexpected: "A API do provedor pode ter mudado — procure uma atualização do Statusio.",
+    usage_points: "Pontos",
+    usage_fair_use: "Uso justo",
+    usage_used: "usado",
+    usage_storage: "Armazenamento",
+    usage_traffic_left: "Tráfego restante",
+    usage_plan: "Plano",
+    usage_downloaded: "Baixado",
+    label_renew: "Renovar / gerenciar conta",
+    label_history: "Histórico",
+    renewed_note: "Renovado +{days}d em {date}",
+    lapsed_note: "Expirou em {date}",
+    lapse_length: "após {days}d sem premium",
+    calendar_name: "Vencimentos debrid",
+    calendar_expires: "{service} expira",
+    calendar_reminder: "{service} expira em {days} dias",
+    quotes: {
+      ok: [
+        "Hora da maratona!", "Pipoca é obrigatória.", "Só mais um episódio…",
+        "Modo sofá: ativado", "Créditos? Próximo!", "Dormir é superestimado",
+        "Petiscos > aluguel", "Controle remoto é meu", "Maratona sem culpa",
+      ],
+      warn: [
+        "Renove antes do cliffhanger.", "Mais barato que petiscos.",
+        "Renove agora, maratone depois.", "Clique. Renove. Continue.",
+        "Seu eu do futuro agradece.", "Não pause a diversão.",
+      ],
+      crit: [
+        "Chefão final: renovação.", "Seu tempo está acabando!", "Renove logo…",
+        "Não perca o final.", "3…2…renove.", "Salve o fim de semana.",
+      ],
+      expired: [
+        "Renove para continuar.", "Assinatura expirada. Ai.",
+        "O paywall venceu.", "De volta à vida real…",
+        "O próximo episódio aguarda pagamento.", "Pausa pro lanche até renovar.",
+      ],
+    },
+  },
+
+  fr: {
+    label_service: "Service",
+    label_user: "Utilisateur",
+    label_expires: "Expire le",
+    label_days: "Jours restants",
+    label_status: "Statut",
+    status_ok: "OK",
+    status_warn: "Attention",
+    status_crit: "Critique",
+    status_expired: "Expiré",
+    not_available: "N/D",
+    label_overall: "Global",
+    unit_days: "j",
+    stale_note: "Vérifié il y a {age}",
+    status_error: "Erreur",
+    label_error: "Erreur",
+    error_auth: "Jeton invalide ou expiré",
+    hint_auth: "Copie un nouveau jeton API du fournisseur dans Configure.",
+    error_down: "Fournisseur injoignable",
+    hint_down: "L'API est en panne ou lente — Statusio réessaiera.",
+    error_rate_limited: "Trop de requêtes",
+    hint_rate_limited: "Limite atteinte — Statusio réessaiera bientôt.",
+    error_unexpected: "Réponse inattendue",
+    hint_unexpected: "L'API du fournisseur a peut-être changé — cherche une mise à jour de Statusio.",
+    usage_points: "Points",
+    usage_fair_use: "Usage équitable",
+    usage_used: "utilisé",
+    usage_storage: "Stockage",
+    usage_traffic_left: "Trafic restant",
+    usage_plan: "Offre",
+    usage_downloaded: "Téléchargé",
+    label_renew: "Renouveler / gérer le compte",
+    label_history: "Historique",
+    renewed_note: "Renouvelé +{days} j le {date}",
+    lapsed_note: "Expiré le {date}",
+    lapse_length: "après {days} j sans premium",
+    calendar_name: "Expirations debrid",
+    calendar_expires: "{service} expire",
+    calendar_reminder: "{service} expire dans {days} jours",
+    quotes: {
+      ok: [
+        "C'est l'heure du binge !", "Le pop-corn est obligatoire.",
+        "Encore un épisode…", "Mode canapé : activé", "Générique ? Suivant !",
+        "Le sommeil, c'est surfait", "Grignotage > loyer", "Marathon en cours",
+      ],
+      warn: [
+        "Renouvelle avant le cliffhanger.", "Moins cher que les snacks.",
+        "Renouvelle maintenant, binge plus tard.", "Clic. Renouvelle. Continue.",
+        "Ton futur toi te remercie.", "Ne mets pas le fun en pause.",
+      ],
+      crit: [
+        "Boss final : le renouvellement.", "Le temps presse !",
+        "Renouvelle vite…", "Ne rate pas le final.", "3…2…renouvelle.",
+        "Sauve ton week-end.",
+      ],
+      expired: [
+        "Renouvelle pour continuer.", "Abonnement expiré. Aïe.",
+        "Le paywall a gagné.", "Retour à la vraie vie…",
+        "Le prochain épisode attend ton paiement.", "Pause goûter jusqu'au renouvellement.",
+      ],
+    },
+  },
+};
+
+// Intl locale per language; English keeps the ISO YYYY-MM-DD card format.
+const DATE_LOCALES = { de: "de-DE", "pt-BR": "pt-BR", fr: "fr-FR" };
+
+export const LANGUAGES = Object.keys(STRINGS);
+
+// Accepts exact codes plus loose forms ("pt", "pt_br", "DE-at").
+export function resolveLanguage(cfg = {}) {
+  const raw = String(cfg.language || process.env.STATUSIO_LANG || "")
+    .trim()
+    .replace("_", "-")
+    .toLowerCase();
+  if (!raw) return DEFAULT_LANGUAGE;
+  const exact = LANGUAGES.find((l) => l.toLowerCase() === raw);
+  if (exact) return exact;
+  const base = raw.split("-")[0];
+  return (
+    LANGUAGES.find((l) => l.toLowerCase().split("-")[0] === base) ||
+    DEFAULT_LANGUAGE
+  );
+}
+
+export function t(lang, key) {
+  return STRINGS[lang]?.[key] ?? STRINGS[DEFAULT_LANGUAGE][key] ?? key;
+}
+
+export const localizedQuotes = (lang) => STRINGS[lang]?.quotes || {};
+
+export function formatDate(iso, lang = DEFAULT_LANGUAGE) {
+  if (!iso) return t(lang, "not_available");
+  const d = new Date(iso);
+  if (isNaN(d.getTime())) return t(lang, "not_available");
+  const locale = DATE_LOCALES[lang];
+  if (!locale) return d.toISOString().slice(0, 10);
+  return new Intl.DateTimeFormat(locale, {
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    timeZone: "UTC",
+  }).format(d);
+}
+
+export function formatNumber(n, lang = DEFAULT_LANGUAGE, digits = 0) {
+  return new Intl.NumberFormat(DATE_LOCALES[lang] || "en-US", {
+    maximumFractionDigits: digits,
+  }).format(n);
+}
+
+// Every label/status key, for templates and the stream handler
+export function labelsFor(lang) {
+  const out = {};
+  for (const key of Object.keys(STRINGS[DEFAULT_LANGUAGE]))
+    if (key.startsWith("label_")) out[key] = t(lang, key);
+  return out;
+}
+
+export const languageConfigFields = () => [
+  {
+    key: "language",
+    type: "select",
+    options: LANGUAGES,
+    default: DEFAULT_LANGUAGE,
+    title: "Language (card text, status & dates)",
+  },
+];
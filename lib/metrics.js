@@ -0,0 +1,67 @@
+// ============================================================================
+// Statusio • Provider call stats
+// In-process counters behind /health and /metrics: per-provider call counts
+// by outcome, last success/failure, and call latency.
+// ============================================================================
+
+const startedAt = Date.now();
+const providers = new Map();
+
+function statsFor(id) {
+  let s = providers.get(id);
+  if (!s) {
+    s = {
+      calls: 0,
+      outcomes: {},
+      lastOkAt: null,
+      lastErrorAt: null,
+      lastError: null,
+      totalMs: 0,
+    };
+    providers.set(id, s);
+  }
+  return s;
+}
+
+// outcome: "ok" or an error category (auth / down / rate_limited / unexpected)
+export function recordProviderCall(id, result, durationMs) {
+  const s = statsFor(id);
+  const outcome = result?.error || "ok";
+  s.calls++;
+  s.totalMs += durationMs;
+  s.outcomes[outcome] = (s.outcomes[outcome] || 0) + 1;
+  if (outcome === "ok") s.lastOkAt = Date.now();
+  else {
+    s.lastErrorAt = Date.now();
+    s.lastError = outcome;
+  }
+}
+
+// Wraps a provider load so every real API call is counted
+export const timedLoad = (id, load) => async () => {
+  const t0 = Date.now();
+  const r = await load();
+  recordProviderCall(id, r, Date.now() - t0);
+  return r;
+};
+
+// Reachable = the most recent call didn't fail with "down"
+export function providerHealth() {
+  const out = {};
+  for (const [id, s] of providers) {
+    const lastWasError = (s.lastErrorAt || 0) > (s.lastOkAt || 0);
+    out[id] = {
+      reachable: !(lastWasError && s.lastError === "down"),
+      calls: s.calls,
+      outcomes: { ...s.outcomes },
+      lastOkAt: s.lastOkAt && new Date(s.lastOkAt).toISOString(),
+      lastErrorAt: s.lastErrorAt && new Date(s.lastErrorAt).toISOString(),
+      lastError: s.lastError,
+      avgMs: s.calls ? Math.round(s.totalMs / s.calls) : null,
+    };
+  }
+  return out;
+}
+
+export const providerStats = () => providers;
+export const uptimeSec = () => Math.round((Date.now() - startedAt) / 1000);
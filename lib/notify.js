@@ -0,0 +1,247 @@
+// ============================================================================
+// Statusio • Expiry notifications
+// Background check of the instance's own accounts that pushes a reminder when
+// a provider crosses into Warning or Critical, or expires — via Discord
+// webhook, ntfy topic and/or a generic JSON POST.
+//
+//   NOTIFY_DISCORD_WEBHOOK   https://discord.com/api/webhooks/…
+//   NOTIFY_NTFY_URL          https://ntfy.sh/<topic> (or self-hosted)
+//   NOTIFY_WEBHOOK_URL       any endpoint accepting a JSON POST
+//   NOTIFY_INTERVAL_MINUTES  check interval (default 60)
+//   NOTIFY_CONFIG            optional addon-style config JSON (tokens,
+//                            thresholds, language); ENV tokens still apply
+//   NOTIFY_STATE_FILE        where sent alerts are remembered across restarts
+//
+// An alert is sent once per (account, band, expiry date): a renewal moves the
+// expiry date and re-arms it; going back to OK clears it. Accounts are keyed
+// by a salted hash of provider + token (the salt is kept in the state file,
+// or CACHE_SALT), so no tokens or token fingerprints end up in it.
+// ============================================================================
+
+import { resolveAccounts, fetchAccount } from "../providers/index.js";
+import { httpRequest } from "../providers/http.js";
+import { getStatusInfo, resolveThresholds } from "./thresholds.js";
+import { resolveLanguage, t, formatDate } from "./i18n.js";
+import { newSalt, readJsonFile, saltedKey, writeJsonFile } from "./store.js";
+
+const ALERT_BANDS = ["warn", "crit", "expired"];
+
+// ----------------------------- Channels ------------------------------------
+export function resolveChannels(env = process.env) {
+  const channels = [];
+  if (env.NOTIFY_DISCORD_WEBHOOK)
+    channels.push({ type: "discord", url: env.NOTIFY_DISCORD_WEBHOOK });
+  if (env.NOTIFY_NTFY_URL)
+    channels.push({ type: "ntfy", url: env.NOTIFY_NTFY_URL });
+  if (env.NOTIFY_WEBHOOK_URL)
+    channels.push({ type: "webhook", url: env.NOTIFY_WEBHOOK_URL });
+  return channels;
+}
+
+const NTFY_PRIORITY = { warn: "default", crit: "high", expired: "urgent" };
+
+function requestFor(channel, alert) {
+  switch (channel.type) {
+    case "discord":
+      return {
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username: "Statusio", content: alert.message }),
+      };
+    case "ntfy":
+      // ntfy headers must be latin-1, so the emoji goes in the body only
+      return {
+        headers: {
+          Title: `Statusio: ${alert.name} ${alert.label}`,
+          Priority: NTFY_PRIORITY[alert.band] || "default",
+          Tags: "hourglass",
+          ...(alert.renewUrl ? { Click: alert.renewUrl } : {}),
+        },
+        body: alert.message,
+      };
+    default:
+      return {
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ event: "statusio.expiry", ...alert }),
+      };
+  }
+}
+
+async function send(channel, alert, fetchImpl) {
+  const { headers, body } = requestFor(channel, alert);
+  const init = {
+    method: "POST",
+    headers: { "User-Agent": "Statusio/1.0", ...headers },
+    body,
+  };
+  // No retries: a receiver that took the POST and then failed or timed out
+  // may already have shown the alert
+  const res = await httpRequest(channel.url, init, {
+    key: `notify:${channel.type}`,
+    fetchImpl,
+    retries: 0,
+  });
+  if (!res.ok) throw new Error(`${channel.type} HTTP ${res.status}`);
+}
+
+// ----------------------------- State ---------------------------------------
+// File: { version, salt, alerts: { <account key>: { expiry, bands, at } } }
+const STATE_VERSION = 1;
+
+export function loadState(file) {
+  const j = file ? readJsonFile(file, "Notify state") : null;
+  if (j?.version !== STATE_VERSION || typeof j.alerts !== "object" || !j.alerts)
+    return { salt: null, alerts: {} };
+  return { salt: j.salt || null, alerts: j.alerts };
+}
+
+function saveState(file, salt, alerts) {
+  if (!file) return;
+  const data = { version: STATE_VERSION, salt, alerts };
+  writeJsonFile(file, data, "Notify state");
+}
+
+// Used when the caller has no salt of its own: stable for this process only
+const PROCESS_SALT = newSalt();
+
+function accountKey(a, salt) {
+  const material = ["notify", a.provider.id, a.credential || a.oauth];
+  return saltedKey(salt, material).slice(0, 32);
+}
+
+// ----------------------------- Check ---------------------------------------
+function buildAlert(r, days, lang) {
+  const { emoji, label, band } = getStatusInfo(days, r.thresholds);
+  const user = r.username ? ` (@${r.username})` : "";
+  const status = t(lang, `status_${band}`);
+  const when = `${t(lang, "label_expires")}: ${formatDate(r.untilISO, lang)}`;
+  return {
+    provider: r.id,
+    name: r.name,
+    username: r.username || null,
+    band,
+    label,
+    daysLeft: days,
+    untilISO: r.untilISO || null,
+    renewUrl: r.renewUrl || null,
+    message:
+      `${emoji} ${r.name}${user}: ${status} — ` +
+      `${t(lang, "label_days")}: ${days} (${when})`,
+  };
+}
+
+// One pass over the accounts. `state` (the alerts map) is mutated and
+// returned; callers persist it along with `salt`. Failed provider calls are
+// skipped (no alert on outages).
+export async function runNotifyCheck({
+  cfg = {},
+  channels = resolveChannels(),
+  state = {},
+  salt = PROCESS_SALT,
+  fetchImpl,
+  renewUrlFor = () => null,
+} = {}) {
+  const lang = resolveLanguage(cfg);
+  const sent = [];
+  const active = resolveAccounts(cfg).filter((a) => a.enabled);
+
+  for (const a of active) {
+    const r = await fetchAccount(a, fetchImpl);
+    if (r.error || (r.premium === null && !r.username)) continue;
+    const key = accountKey(a, salt);
+    const thresholds = resolveThresholds(cfg, a.provider);
+    const days = r.premium ? r.daysLeft : 0;
+    if (days === null || days === undefined) continue;
+
+    const { band } = getStatusInfo(days, thresholds);
+    if (!ALERT_BANDS.includes(band)) {
+      delete state[key];
+      continue;
+    }
+
+    const expiry = r.untilISO || "none";
+    const prev = state[key];
+    if (prev?.expiry === expiry && prev.bands?.includes(band)) continue;
+
+    const name = a.nickname ? `${r.name} (${a.nickname})` : r.name;
+    const alert = buildAlert(
+      { ...r, name, thresholds, renewUrl: renewUrlFor(a.provider, cfg) },
+      days,
+      lang
+    );
+    const results = await Promise.allSettled(
+      channels.map((c) => send(c, alert, fetchImpl))
+    );
+    for (const x of results)
+      if (x.status === "rejected")
+        console.error(`[Statusio] Notify failed: ${x.reason?.message}`);
+    if (!results.some((x) => x.status === "fulfilled")) continue;
+
+    const bands = prev?.expiry === expiry ? prev.bands : [];
+    state[key] = { expiry, bands: [...bands, band], at: Date.now() };
+    sent.push(alert);
+  }
+  return { state, sent };
+}
+
+// ----------------------------- Scheduler -----------------------------------
+export function startNotifier({ renewUrlFor, fetchImpl } = {}) {
+  const channels = resolveChannels();
+  if (!channels.length) return null;
+
+  let cfg = {};
+  if (process.env.NOTIFY_CONFIG) {
+    try {
+      cfg = JSON.parse(process.env.NOTIFY_CONFIG);
+    } catch (e) {
+      console.error(`[Statusio] NOTIFY_CONFIG is not valid JSON: ${e.message}`);
+    }
+  }
+  const file = process.env.NOTIFY_STATE_FILE || null;
+  const intervalMin = Math.max(
+    5,
+    Number(process.env.NOTIFY_INTERVAL_MINUTES) || 60
+  );
+  const stored = loadState(file);
+  const salt = process.env.CACHE_SALT || stored.salt || newSalt();
+  let state = stored.alerts;
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const out = await runNotifyCheck({
+        cfg,
+        channels,
+        state,
+        salt,
+        fetchImpl,
+        renewUrlFor,
+      });
+      state = out.state;
+      saveState(file, salt, state);
+      if (out.sent.length)
+        console.log(`[Statusio] Sent ${out.sent.length} expiry alert(s)`);
+    } catch (e) {
+      console.error("[Statusio] Notify check failed:", e);
+    } finally {
+      running = false;
+    }
+  };
+
+  const first = setTimeout(tick, 10_000);
+  const timer = setInterval(tick, intervalMin * 60 * 1000);
+  first.unref?.();
+  timer.unref?.();
+  console.log(
+    `🔔 Expiry notifications: ${channels.map((c) => c.type).join(", ")} ` +
+      `every ${intervalMin} min`
+  );
+  return {
+    tick,
+    stop: () => {
+      clearTimeout(first);
+      clearInterval(timer);
+    },
+  };
+}
@@ -0,0 +1,310 @@
+// ============================================================================
+// Statusio • Operator mode (one instance, many users)
+// OPERATOR_MODE=on for public or shared instances:
+//   ENV tokens    RD_TOKEN & co. only apply to local requests (loopback, not
+//                 proxied) — remote visitors only see the accounts in their
+//                 own config
+//   ACCESS_KEY    data routes (streams, board, API, calendar, token tests)
+//                 need the key: `access_key` in the config (install URL), an
+//                 X-Access-Key header or ?access_key=. Comma-separate several
+//                 keys to rotate.
+//   RATE_LIMIT_PER_MIN  requests per client per minute (default 60, 0 = off)
+//   ADMIN_KEY     enables /admin and /admin/status.json (Bearer or ?key=):
+//                 request, client and install counts — hashed, never tokens
+//                 or addresses
+//   TRUST_PROXY   express "trust proxy" value, so clients behind a reverse
+//                 proxy are told apart (e.g. "loopback" or "1")
+// ============================================================================
+
+import crypto from "node:crypto";
+import { AsyncLocalStorage } from "node:async_hooks";
+import express from "express";
+import { listProviders, resolveAccounts } from "../providers/index.js";
+import { providerHealth, uptimeSec } from "./metrics.js";
+import { escHtml } from "./configure.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RATE_PER_MIN = 60;
+const MAX_TRACKED = 10000;
+
+const LOOPBACK = new Set(["127.0.0.1", "::1", "::ffff:127.0.0.1"]);
+
+// Paths that read accounts or call providers; the rest (configure page,
+// bare manifest, health) stays open so people can set the add-on up.
+const DATA_ROUTE = new RegExp(
+  [
+    "/(stream|catalog|meta)/",
+    "/api/",
+    "/metrics$",
+    "/calendar\\.ics$",
+    "^/configure/(test|seal|login)\\b",
+  ].join("|")
+);
+
+const ROUTE_KINDS = [
+  ["stream", /\/stream\//],
+  ["catalog", /\/catalog\//],
+  ["meta", /\/meta\//],
+  ["api", /\/api\//],
+  ["calendar", /\/calendar\.ics$/],
+  ["metrics", /\/metrics$/],
+  ["configure", /\/configure\b/],
+  ["manifest", /\/manifest\.json$/],
+];
+
+const onOff = (v) => /^(1|on|true|yes)$/i.test(String(v ?? "").trim());
+const list = (v) =>
+  String(v ?? "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+function trustProxyValue(raw) {
+  const v = String(raw ?? "").trim();
+  if (!v) return false;
+  if (/^(true|false)$/i.test(v)) return v.toLowerCase() === "true";
+  return /^\d+$/.test(v) ? Number(v) : v;
+}
+
+export function resolveOperator(env = process.env) {
+  const rate = Number(env.RATE_LIMIT_PER_MIN);
+  return {
+    enabled: onOff(env.OPERATOR_MODE),
+    accessKeys: list(env.ACCESS_KEY),
+    ratePerMin:
+      Number.isFinite(rate) && rate >= 0 ? rate : DEFAULT_RATE_PER_MIN,
+    adminKey: String(env.ADMIN_KEY || "").trim() || null,
+    trustProxy: trustProxyValue(env.TRUST_PROXY),
+  };
+}
+
+// The access key field only shows on the Configure page when one is needed
+export const operatorConfigFields = (operator = resolveOperator()) =>
+  operator.enabled && operator.accessKeys.length
+    ? [
+        {
+          key: "access_key",
+          type: "password",
+          title: "Instance Access Key (ask the operator)",
+        },
+      ]
+    : [];
+
+// ----------------------------- Request scope -------------------------------
+// Set per request by the operator middleware; code outside a request (the
+// notifier, tests, a private instance) always gets the ENV fallback.
+const scope = new AsyncLocalStorage();
+
+export const envFallbackAllowed = () =>
+  scope.getStore()?.envFallback !== false;
+
+const isLocalRequest = (req) =>
+  LOOPBACK.has(req.socket?.remoteAddress) &&
+  !req.headers["x-forwarded-for"] &&
+  !req.headers.forwarded;
+
+// ----------------------------- Helpers -------------------------------------
+const digest = (s) => crypto.createHash("sha256").update(String(s)).digest();
+const keyMatches = (given, keys) =>
+  !!given &&
+  keys.some((k) => crypto.timingSafeEqual(digest(given), digest(k)));
+
+// Config from the first path segment (already unsealed), or {}
+function pathConfig(req) {
+  const first = req.path.split("/")[1] || "";
+  if (!first.startsWith("%7B") && !first.startsWith("{")) return {};
+  try {
+    const cfg = JSON.parse(decodeURIComponent(first));
+    return cfg && typeof cfg === "object" ? cfg : {};
+  } catch {
+    return {};
+  }
+}
+
+const routeKind = (path) =>
+  ROUTE_KINDS.find(([, re]) => re.test(path))?.[0] || "other";
+
+// Token bucket per client: `ratePerMin` burst, refilled continuously
+function createLimiter(ratePerMin) {
+  const buckets = new Map();
+  return (client, now = Date.now()) => {
+    if (!ratePerMin) return { ok: true };
+    const perMs = ratePerMin / 60000;
+    const b = buckets.get(client) || { tokens: ratePerMin, at: now };
+    b.tokens = Math.min(ratePerMin, b.tokens + (now - b.at) * perMs);
+    b.at = now;
+    buckets.delete(client);
+    buckets.set(client, b);
+    if (buckets.size > MAX_TRACKED)
+      buckets.delete(buckets.keys().next().value);
+    if (b.tokens < 1) {
+      const retryAfter = Math.ceil((1 - b.tokens) / perMs / 1000);
+      return { ok: false, retryAfter };
+    }
+    b.tokens -= 1;
+    return { ok: true };
+  };
+}
+
+// Anonymized usage: counters plus salted hashes of clients and installs,
+// each remembered for a day. The salt lives in memory only.
+function createUsage() {
+  const salt = crypto.randomBytes(16);
+  const hash = (v) =>
+    crypto.createHmac("sha256", salt).update(v).digest("hex").slice(0, 16);
+  const requests = {};
+  const refused = { access: 0, rateLimited: 0 };
+  const clients = new Map(); // hash -> lastSeen
+  const installs = new Map(); // hash -> { at, providers }
+
+  const touch = (map, key, value) => {
+    map.delete(key);
+    map.set(key, value);
+    if (map.size > MAX_TRACKED) map.delete(map.keys().next().value);
+  };
+
+  function track(req, cfg, now = Date.now()) {
+    const kind = routeKind(req.path);
+    requests[kind] = (requests[kind] || 0) + 1;
+    touch(clients, hash(req.ip || ""), now);
+    const { access_key: _key, ...rest } = cfg;
+    if (!Object.keys(rest).length) return;
+    const providers = [
+      ...new Set(
+        resolveAccounts(rest, { env: false })
+          .filter((a) => a.enabled)
+          .map((a) => a.provider.id)
+      ),
+    ];
+    touch(installs, hash(JSON.stringify(rest)), { at: now, providers });
+  }
+
+  function snapshot(now = Date.now()) {
+    const recent = (at) => now - at <= DAY_MS;
+    const active = [...installs.values()].filter((i) => recent(i.at));
+    const byProvider = Object.fromEntries(
+      listProviders().map((p) => [
+        p.id,
+        active.filter((i) => i.providers.includes(p.id)).length,
+      ])
+    );
+    return {
+      requests: { ...requests },
+      refused: { ...refused },
+      clients24h: [...clients.values()].filter(recent).length,
+      installs24h: active.length,
+      installsByProvider24h: byProvider,
+    };
+  }
+
+  return { track, refused, snapshot };
+}
+
+// ----------------------------- Admin page ----------------------------------
+const rows = (obj) =>
+  Object.entries(obj)
+    .map(([k, v]) => `<tr><th>${escHtml(k)}</th><td>${escHtml(v)}</td></tr>`)
+    .join("");
+
+function adminPage(status) {
+  const summary = [
+    `Up ${Math.round(status.uptimeSec / 60)} min`,
+    `rate limit ${status.ratePerMin ? `${status.ratePerMin}/min` : "off"}`,
+    `access key ${status.accessKey ? "required" : "off"}`,
+  ].join(" • ");
+  const providers = Object.fromEntries(
+    Object.entries(status.providers).map(([id, h]) => [
+      id,
+      `${h.reachable ? "✔" : "✖"} ${h.calls} calls, ${h.avgMs ?? "—"} ms`,
+    ])
+  );
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><meta http-equiv="refresh" content="60">
+<title>Statusio — Admin</title>
+<style>
+body{font-family:system-ui,sans-serif;background:#1b1530;color:#eee;padding:2rem 1rem}
+main{max-width:640px;margin:auto}table{width:100%;border-collapse:collapse;margin-bottom:1.5rem}
+th,td{text-align:left;padding:.3rem .5rem;border-bottom:1px solid #4a3f6b}th{width:50%;font-weight:500}
+</style></head><body><main>
+<h1>Statusio v${escHtml(status.version)}</h1>
+<p>${escHtml(summary)}</p>
+<h2>Last 24 hours</h2><table>${rows({
+    "Distinct clients": status.usage.clients24h,
+    "Distinct installs": status.usage.installs24h,
+  })}</table>
+<h2>Installs per provider (24h)</h2><table>${rows(
+    status.usage.installsByProvider24h
+  )}</table>
+<h2>Requests since start</h2><table>${rows(status.usage.requests)}</table>
+<h2>Refused</h2><table>${rows({
+    "Missing/wrong access key": status.usage.refused.access,
+    "Rate limited": status.usage.refused.rateLimited,
+  })}</table>
+<h2>Providers</h2><table>${rows(providers)}</table>
+<h2>Cache</h2><table>${rows(status.cache)}</table>
+</main></body></html>`;
+}
+
+// ----------------------------- Router --------------------------------------
+// operator: resolveOperator(); deps: { version, cacheStats() }. Mounted after
+// openSealedConfig so the access key inside a sealed config can be read.
+export function createOperatorRouter(operator, deps) {
+  const { version, cacheStats } = deps;
+  const router = express.Router();
+  const limit = createLimiter(operator.ratePerMin);
+  const usage = createUsage();
+
+  const status = () => ({
+    version,
+    uptimeSec: uptimeSec(),
+    ratePerMin: operator.ratePerMin,
+    accessKey: operator.accessKeys.length > 0,
+    usage: usage.snapshot(),
+    providers: providerHealth(),
+    cache: cacheStats(),
+  });
+
+  const adminOnly = (req, res, next) => {
+    if (!operator.adminKey) return res.status(404).end();
+    const bearer = String(req.get("authorization") || "").replace(
+      /^Bearer\s+/i,
+      ""
+    );
+    if (keyMatches(bearer || req.query.key, [operator.adminKey])) return next();
+    res.status(401).json({ err: "admin key required" });
+  };
+
+  router.get("/admin/status.json", adminOnly, (_req, res) =>
+    res.json(status())
+  );
+  router.get("/admin", adminOnly, (_req, res) =>
+    res.type("html").send(adminPage(status()))
+  );
+
+  router.use((req, res, next) => {
+    if (req.path.startsWith("/health") || req.path.startsWith("/admin"))
+      return next();
+
+    const gate = limit(req.ip || "");
+    if (!gate.ok) {
+      usage.refused.rateLimited++;
+      res.set("Retry-After", String(gate.retryAfter));
+      return res.status(429).json({ err: "too many requests" });
+    }
+
+    const cfg = pathConfig(req);
+    if (operator.accessKeys.length && DATA_ROUTE.test(req.path)) {
+      const given =
+        cfg.access_key || req.get("x-access-key") || req.query.access_key;
+      if (!keyMatches(String(given || ""), operator.accessKeys)) {
+        usage.refused.access++;
+        return res.status(401).json({ err: "access key required" });
+      }
+    }
+
+    usage.track(req, cfg);
+    scope.run({ envFallback: isLocalRequest(req) }, next);
+  });
+
+  return router;
+}
@@ -0,0 +1,233 @@
+// ============================================================================
+// Statusio • Quotes
+// Built-in quote sets per status band, plus optional custom quote packs:
+//   { "ok": [...], "warn": [...], "crit": [...], "expired": [...] }
+// A pack may cover only some bands; missing bands use the built-ins for the
+// card's language.
+// Sources: QUOTE_PACK env (file path or URL, instance default) or the
+// `quote_pack_url` config (http/https only — users can't read server files).
+// URLs are fetched with a short timeout and no retries; an unreachable pack
+// means the built-in quotes, never a slow card. Install URLs may only reach
+// public addresses (no loopback, private networks or cloud metadata).
+// ============================================================================
+
+import { readFile } from "node:fs/promises";
+import dns from "node:dns";
+import net from "node:net";
+import http from "node:http";
+import https from "node:https";
+import { httpRequest } from "../providers/http.js";
+import { localizedQuotes } from "./i18n.js";
+
+// OK band (above warn_days, default 14) — Work mode, smart/funny, short zingers
+export const QUOTES_OK = [
+// Work-while-watching (5)
+  "Grind & binge time!", "Work n' watch time!", "Emails? Nah, more episodes.", "Multitask: cry + work.", "Boss on mute, show on blast!",
+
+// Short zingers (10 micro, <34 chars)
+  "Plot twist: me!", "Popcorn is needed!", "Sequel my life...", "Cue the chaos!", "Credits? Nope. Next.", "Spoiler: Need snacks.", "Villain = Bill time.", "*dramatic sip*", "Boom. Plot.",
+
+// Smart/funny (15+ punchy bangers) — old school + new school + cringey gold
+  "You earned this binge, champ", "Queue = life. Season 1 GO", "Adulting? Nah, captioning", "Meetings done, MOVIE ON", "Procrastination level: PRO", "Budget says: snacks > rent", "Tonight: couch + 47 episodes", "Couch just filed for PTO", "Microwave = trailer timer", "Main quest: DO NOT DISTURB", "Side quest: find the remote", "Therapy? Nah, dragons", "Stretch. Sip. Stream. Repeat.", "Zoom call over, ZONE IN", "One more ep… *famous last words*", "Doomscrolling, but on TV", "I NEED to know what happens!", "Just one ep… *lies to mirror*", "Sleep? What’s that?", "Cliffhanger holding me hostage", "I can stop… after this season", "Self-care = 3AM binge", "Oops, autoplay betrayed me", "Brain: one more. Body: 12 later", "Plot > rent > my GPA", "Credits? We don’t do that here", "I now live in Couchville", "Let credits roll… IN HELL", "Skipping intros = cardio", "Hydrate? I drink DRAMA", "Laundry? Drama waits for NO ONE", "Toilet break = Russian roulette", "Remote > my ex > my mom", "Binge now, regret at sunrise", "Spoilers = war crime", "Ctrl+Z my entire life pls", "My plants died for this binge", "3AM me: still watching", "Eyebags = plot armor", "Blink = miss the plot", "Snaccident in progress", "Chores? What chores?", "Plot holes > life holes", "Remote stuck to my hand", "Next ep = my religion", "Buffering = life coach", "Subtitles = reading cheat", "Season finale? Pain.", "Autoplay = evil genius", "Blanket burrito mode", "My butt’s gone numb", "Snacks > stock market", "Pause? Never heard", "Plot twist: I’m broke", "Streaming > streaming IRL", "Eye strain = trophy", "Rewind = time travel", "Volume 47 = normal", "Binge coma incoming", "Tomorrow me hates today me", "WiFi > oxygen", "Episode 1? Rookie numbers", "Netflix & actually chill", "Loading… like my life", "Remote wars = real wars", "Popcorn lung = real", "Couch dent = legacy",
+
+// Genre-specific zingers (<34 chars) — old school + new school + cringey
+  "Horror: heart attack free", "Sci-fi: beam me up, couch", "Rom-com: love? Nah, binge", "Drama: tears > tissues", "Action: boom in my room", "Comedy: LOL till I choke", "Thriller: plot twist pants", "Fantasy: dragons > deadlines", "True crime: guilty pleasure", "Anime: subs > dubs fight", "Reality TV: messier than me", "Docu: facts? Mind blown", "Superhero: cape on couch", "Mystery: who done it? Me", "Historical: time travel cheap",
+
+// Post-binge regrets (<34 chars) — hilarious + cringey
+  "What day is it again?", "Eyes: send help pls", "Sunlight? What's that?", "Productive? Never was", "Butt numb, soul empty", "Regret level: max", "Tomorrow me: furious", "Plants dead, me alive?", "Social life? Canceled", "Binge hangover hits", "Mirror: who are you?", "Chores piled like eps", "Wallet: snacks broke me", "Brain rot achieved", "Neck pain = trophy",
+
+// Tech glitch roasts (<34 chars) — edgy + funny
+  "Buffering… my life", "Ads: skip my existence", "WiFi ghosted me", "HD? More like huh?", "Autoplay? Evil overlord", "Error 404: fun not found", "Loading… forever alone", "Pixelated dreams", "Remote battery dead", "Stream lag = rage", "Subtitles glitchy mess", "App crash = my mood", "No signal? Apocalypse", "Update now? Hell no", "You're the Debrid Master"
+];
+
+// Warning band (≤ warn_days, default 14) — funny/edgy nudge
+export const QUOTES_WARN = [
+  "Renew before cliffhanger.", "Cheaper than snacks.", "Tiny fee, huge chill.", "Beat the ‘oops, expired’.", "Your future self says thanks.", "Renew now, binge later.", "Don’t pause the fun.", "Click. Renew. Continue.", "Keep calm, renew on.", "Roll credits on worry.", "Pay up or plot twist: pain", "Binge tax due, peasant", "Wallet lighter, soul fuller", "Renew or face the void", "Card declined? Big sad", "Couch demands tribute", "Subscription > therapy", "Click or cry at 99%", "Renewal = plot armor", "Don’t let the algorithm win"
+];
+
+// Critical band (≤ crit_days, default 3) — urgent but still funny
+export const QUOTES_CRIT = [
+  "Boss fight: renewal.", "Renew soon, it's coming!", "Please renew soon...", "Your time is almost up!", "Don't let your ISP catch on", "Two taps, all vibes.", "Renew = peace unlocked.", "Don’t lose the finale.", "Almost out—top up.", "3…2…renew.", "Tiny bill, big joy.", "Grab the lifeline.", "Save the weekend.", "Clock’s loud. Renew.", "Last ep loading… or not", "Buffering fate. Renew.", "Do it or doomscroll life", "Finale blocked. Pay up.", "Renew or rage quit", "Plot armor expiring"
+];
+
+// 0 or less (expired) — roast mode ON
+export const QUOTES_EXPIRED = [
+  "Renew ASAP or else...", "Your ISP will be mad!", "Renew now to avoid ISP Warnings", "Renew subscription to continue", "Renew to avoid confrontation", "Renew now to continue", "We're not responsible, renew.", "We pause respectfully.", "Refill the fun meter.", "Next ep awaits payment.", "Fix the sub, then binge.", "Snack break until renew.", "Epic… after renewal.", "Re-subscribe to continue.", "Broke hours activated", "Screen black, dreams too", "Poor and plotless", "Renew or rot in reality", "Buffering… forever", "Cliffhanger hell awaits", "Wallet betrayed you", "Free trial? Cute story", "Back to real life, sucka", "Binge blocked. L bozo", "Paywall won. You lost.", "Subscription graveyard", "Bills > chills > skills", "Restart life.exe failed", "Touch grass (mandatory)", "You had one job: renew"
+];
+
+export const BUILTIN_QUOTES = Object.freeze({
+  ok: QUOTES_OK,
+  warn: QUOTES_WARN,
+  crit: QUOTES_CRIT,
+  expired: QUOTES_EXPIRED,
+});
+
+export const pick = (arr) =>
+  arr?.length ? arr[Math.floor(Math.random() * arr.length)] : "";
+
+// ----------------------------- Public URLs only ----------------------------
+// A pack URL from an install config is fetched by the server, so it must
+// not reach the server's own network. Checked on the address actually
+// connected to, so a public name resolving to 127.0.0.1 is refused too.
+const PRIVATE_NETS = new net.BlockList();
+for (const [addr, bits] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+])
+  PRIVATE_NETS.addSubnet(addr, bits, "ipv4");
+for (const [addr, bits] of [
+  ["::", 128],
+  ["::1", 128],
+  ["::ffff:0:0", 96], // IPv4-mapped
+  ["fc00::", 7],
+  ["fe80::", 10],
+])
+  PRIVATE_NETS.addSubnet(addr, bits, "ipv6");
+
+function isPrivateAddress(ip) {
+  const v4 = String(ip).match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)?.[1];
+  const addr = v4 || String(ip);
+  const type = net.isIPv6(addr) ? "ipv6" : net.isIPv4(addr) ? "ipv4" : null;
+  return !type || PRIVATE_NETS.check(addr, type);
+}
+
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const all = Array.isArray(address) ? address : [{ address }];
+    if (all.some((a) => isPrivateAddress(a.address)))
+      return callback(new Error(`${hostname} is not a public address`));
+    callback(null, address, family);
+  });
+}
+
+const PUBLIC_AGENTS = {
+  "http:": new http.Agent({ lookup: publicLookup }),
+  "https:": new https.Agent({ lookup: publicLookup }),
+};
+
+// Literal IPs never go through a lookup, so they are checked here
+function assertPublicUrl(source) {
+  const host = new URL(source).hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && isPrivateAddress(host))
+    throw new Error(`${host} is not a public address`);
+}
+
+// ----------------------------- Packs ---------------------------------------
+const PACK_TTL_MS = 60 * 60 * 1000;
+const PACK_TIMEOUT_MS = 3000;
+const MAX_PACKS = 100;
+const MAX_QUOTES = 500;
+const MAX_QUOTE_LEN = 200;
+const BAND_ALIASES = {
+  ok: ["ok"],
+  warn: ["warn", "warning"],
+  crit: ["crit", "critical"],
+  expired: ["expired"],
+};
+
+// LRU of loaded packs by source, plus the fetches still in flight so a burst
+// of requests with the same pack URL shares one download
+const packCache = new Map();
+const packLoads = new Map();
+
+const cleanList = (list) =>
+  Array.isArray(list)
+    ? list
+        .filter((q) => typeof q === "string")
+        .map((q) => q.trim().slice(0, MAX_QUOTE_LEN))
+        .filter(Boolean)
+        .slice(0, MAX_QUOTES)
+    : [];
+
+// Merges a raw pack over `fallback`, band by band
+export function normalizePack(raw, fallback = BUILTIN_QUOTES) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw))
+    throw new Error("quote pack must be a JSON object");
+  const out = {};
+  for (const [band, names] of Object.entries(BAND_ALIASES)) {
+    const name = names.find((n) => n in raw);
+    const list = name ? cleanList(raw[name]) : [];
+    out[band] = list.length ? list : fallback[band];
+  }
+  return out;
+}
+
+// Built-in sets in the card's language (English for untranslated bands)
+export function builtinQuotes(lang) {
+  const local = localizedQuotes(lang);
+  const out = {};
+  for (const band of Object.keys(BUILTIN_QUOTES))
+    out[band] = local[band]?.length ? local[band] : BUILTIN_QUOTES[band];
+  return out;
+}
+
+// publicOnly: the source came from an install config (see above)
+async function readPack(source, fetchImpl, publicOnly) {
+  if (/^https?:\/\//i.test(source)) {
+    if (publicOnly) assertPublicUrl(source);
+    const init = { headers: { "User-Agent": "Statusio/1.0" } };
+    if (publicOnly) init.agent = (u) => PUBLIC_AGENTS[u.protocol];
+    const res = await httpRequest(source, init, {
+      key: "quotes",
+      cooldownKey: `quotes:${new URL(source).host}`,
+      fetchImpl,
+      timeoutMs: PACK_TIMEOUT_MS,
+      retries: 0,
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.json();
+  }
+  return JSON.parse(await readFile(source, "utf8"));
+}
+
+async function fetchPack(source, fetchImpl, publicOnly) {
+  let value = null;
+  try {
+    const raw = await readPack(source, fetchImpl, publicOnly);
+    value = normalizePack(raw, {});
+  } catch (e) {
+    console.error(`[Statusio] Quote pack ${source} unusable: ${e.message}`);
+  }
+  packCache.delete(source);
+  packCache.set(source, { value, exp: Date.now() + PACK_TTL_MS });
+  if (packCache.size > MAX_PACKS)
+    packCache.delete(packCache.keys().next().value);
+  return value;
+}
+
+// Caches the validated pack (or null when unusable) per source
+function loadPack(source, fetchImpl, publicOnly) {
+  const hit = packCache.get(source);
+  if (hit && Date.now() < hit.exp) {
+    packCache.delete(source);
+    packCache.set(source, hit);
+    return hit.value;
+  }
+  let load = packLoads.get(source);
+  if (!load) {
+    load = fetchPack(source, fetchImpl, publicOnly).finally(() =>
+      packLoads.delete(source)
+    );
+    packLoads.set(source, load);
+  }
+  return load;
+}
+
+// Resolves the quote sets for a config: null when quotes are turned off.
+export async function resolveQuotes(cfg = {}, lang, fetchImpl) {
+  if (String(cfg.quotes || "on").toLowerCase() === "off") return null;
+  const fallback = builtinQuotes(lang);
+  const url = String(cfg.quote_pack_url || "").trim();
+  const envPack = String(process.env.QUOTE_PACK || "").trim();
+  const fromInstall = /^https?:\/\/\S+$/i.test(url);
+  const source = fromInstall ? url : envPack;
+  if (!source) return fallback;
+  const pack = await loadPack(source, fetchImpl, fromInstall);
+  return pack ? normalizePack(pack, fallback) : fallback;
+}
@@ -0,0 +1,93 @@
+// ============================================================================
+// Statusio • Per-provider stale-while-revalidate
+// Each account is cached on its own so one failing provider never evicts or
+// poisons the others:
+//   fresh   good results live `ttlMs`; failures only `errorTtlMs`
+//   good    last known good result, kept `staleTtlMs` as a fallback
+// A failure (or an expired entry) is answered with the last good result,
+// marked { stale: true, fetchedAt }, while a refresh runs in the background.
+// Good entries past REFRESH_AT of their TTL are refreshed early, so the
+// Streams tab only ever waits when nothing usable is cached.
+// ============================================================================
+
+import { daysLeftFromISO } from "../providers/util.js";
+
+const REFRESH_AT = 0.8;
+
+export const isGoodResult = (r) => !!r && (r.premium !== null || !!r.username);
+
+const inflight = new Map();
+
+// Days left drift while a result sits in the cache; recompute from untilISO.
+function asStale(entry, reason) {
+  const r = { ...entry.result, stale: true, fetchedAt: entry.fetchedAt };
+  if (reason) r.staleReason = reason;
+  if (r.premium && r.untilISO) {
+    const { days } = daysLeftFromISO(r.untilISO);
+    if (days !== null) r.daysLeft = days;
+  }
+  return r;
+}
+
+// opts: { cache, key, load, ttlMs, errorTtlMs, staleTtlMs }
+//   key   base cache key (already hashed); "fresh"/"good" are derived from it
+//   load  () => Promise<result>; expected not to throw (providers catch)
+export async function cachedFetch(opts) {
+  const { cache, key, ttlMs } = opts;
+  const freshKey = `${key}:fresh`;
+  const goodKey = `${key}:good`;
+
+  const fresh = cache.get(freshKey);
+  if (fresh) {
+    if (fresh.good) {
+      if (Date.now() - fresh.fetchedAt > ttlMs * REFRESH_AT)
+        revalidate(opts, freshKey, goodKey);
+      return fresh.result;
+    }
+    // recent failure: serve last good if any, don't hammer the API
+    const last = cache.get(goodKey);
+    return last ? asStale(last, fresh.result.note) : fresh.result;
+  }
+
+  const last = cache.get(goodKey);
+  if (last) {
+    revalidate(opts, freshKey, goodKey);
+    return asStale(last);
+  }
+  return revalidate(opts, freshKey, goodKey);
+}
+
+// One refresh per key at a time; background callers ignore the promise.
+function revalidate(opts, freshKey, goodKey) {
+  if (inflight.has(freshKey)) return inflight.get(freshKey);
+  const { cache, load, ttlMs, errorTtlMs, staleTtlMs } = opts;
+
+  const job = (async () => {
+    let result;
+    try {
+      result = await load();
+    } catch (e) {
+      result = { note: `error ${e.message}` };
+    }
+    const entry = { result, fetchedAt: Date.now() };
+    if (isGoodResult(result)) {
+      cache.set(freshKey, { ...entry, good: true }, ttlMs);
+      cache.set(goodKey, entry, staleTtlMs);
+      return result;
+    }
+    cache.set(freshKey, { ...entry, good: false }, errorTtlMs);
+    const last = cache.get(goodKey);
+    return last ? asStale(last, result.note) : result;
+  })().finally(() => inflight.delete(freshKey));
+
+  inflight.set(freshKey, job);
+  return job;
+}
+
+export function formatAge(ms) {
+  const mins = Math.max(1, Math.round(ms / 60000));
+  if (mins < 60) return `${mins}m`;
+  const hours = Math.round(mins / 60);
+  if (hours < 48) return `${hours}h`;
+  return `${Math.round(hours / 24)}d`;
+}
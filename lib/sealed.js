@@ -0,0 +1,99 @@
+// ============================================================================
+// Statusio • Sealed configs
+// With CONFIG_SECRET set, the configure page has the server encrypt the config
+// (AES-256-GCM) into an opaque `enc1.<kid>.<data>` URL segment, so tokens never
+// show up in the install URL, Stremio sync or proxy logs. The segment is opened
+// before any route sees it; tampered or unknown blobs are rejected with a 400.
+// Rotation: CONFIG_SECRET="new,old" — new blobs use the first secret, blobs
+// sealed with any of the others still open.
+// ============================================================================
+
+import crypto from "node:crypto";
+
+const PREFIX = "enc1";
+const AAD = Buffer.from("statusio-config-v1");
+const SEALED_RE = /^enc1\.[A-Za-z0-9_-]{8}\.[A-Za-z0-9_-]+$/;
+
+export const isSealed = (segment) => SEALED_RE.test(String(segment || ""));
+
+function deriveKey(secret) {
+  const key = Buffer.from(
+    crypto.hkdfSync("sha256", secret, "", "statusio-config", 32)
+  );
+  const kid = crypto
+    .createHash("sha256")
+    .update(key)
+    .digest("base64url")
+    .slice(0, 8);
+  return { key, kid };
+}
+
+export function createSealer(secrets = process.env.CONFIG_SECRET) {
+  const keys = String(secrets || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map(deriveKey);
+
+  function seal(cfg) {
+    if (!keys.length) throw new Error("CONFIG_SECRET is not set");
+    const { key, kid } = keys[0];
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+    cipher.setAAD(AAD);
+    const body = Buffer.concat([
+      cipher.update(JSON.stringify(cfg), "utf8"),
+      cipher.final(),
+    ]);
+    const data = Buffer.concat([iv, cipher.getAuthTag(), body]);
+    return `${PREFIX}.${kid}.${data.toString("base64url")}`;
+  }
+
+  // Config object, or null for anything that doesn't authenticate
+  function open(blob) {
+    if (!isSealed(blob)) return null;
+    const [, kid, b64] = blob.split(".");
+    const entry = keys.find((k) => k.kid === kid);
+    const data = Buffer.from(b64, "base64url");
+    if (!entry || data.length < 29) return null;
+    try {
+      const decipher = crypto.createDecipheriv(
+        "aes-256-gcm",
+        entry.key,
+        data.subarray(0, 12)
+      );
+      decipher.setAAD(AAD);
+      decipher.setAuthTag(data.subarray(12, 28));
+      const json = Buffer.concat([
+        decipher.update(data.subarray(28)),
+        decipher.final(),
+      ]).toString("utf8");
+      const cfg = JSON.parse(json);
+      return cfg && typeof cfg === "object" ? cfg : null;
+    } catch {
+      return null;
+    }
+  }
+
+  return { enabled: keys.length > 0, seal, open };
+}
+
+// Express middleware: swaps a sealed first path segment for the plain JSON
+// config in-process, so the SDK router and our own routes parse it as usual.
+export function openSealedConfig(sealer) {
+  return (req, res, next) => {
+    const [, first, ...rest] = req.url.split("/");
+    if (!isSealed(first)) return next();
+    const cfg = sealer.open(first);
+    if (!cfg) {
+      console.warn("[Statusio] Rejected a sealed config that did not open");
+      return res
+        .status(400)
+        .json({ err: "invalid config — please reconfigure the add-on" });
+    }
+    req.url = ["", encodeURIComponent(JSON.stringify(cfg)), ...rest].join("/");
+    // Routes that echo the config back (the configure page) leave secrets out
+    req.sealedConfig = true;
+    next();
+  };
+}
@@ -0,0 +1,55 @@
+// ============================================================================
+// Statusio • HTTP app
+// Same wiring as the SDK's serveHTTP, plus the JSON/health/metrics routes,
+// our own configure page and, in operator mode, access control. Returns the
+// express app; listening is up to the caller (index.js), so tests can mount
+// it without opening a port.
+// ============================================================================
+
+import express from "express";
+import sdk from "stremio-addon-sdk";
+const { getRouter } = sdk;
+import { parseConfig } from "./addon.js";
+import { createApiRouter } from "./api.js";
+import { createConfigureRouter } from "./configure.js";
+import { createSealer, openSealedConfig } from "./sealed.js";
+import { resolveOperator, createOperatorRouter } from "./operator.js";
+
+// statusio: result of createStatusio(); sealer: see lib/sealed.js;
+// operator: see lib/operator.js (off unless OPERATOR_MODE is set)
+export function createServer(
+  statusio,
+  { sealer = createSealer(), operator = resolveOperator() } = {}
+) {
+  const { manifest, manifestFor, addonInterface, fetchStatusData, cache } =
+    statusio;
+  const app = express();
+
+  app.use(openSealedConfig(sealer));
+  if (operator.enabled) {
+    app.set("trust proxy", operator.trustProxy);
+    app.use(
+      createOperatorRouter(operator, {
+        version: manifest.version,
+        cacheStats: () => cache.stats(),
+      })
+    );
+  }
+  // Ahead of the SDK router: a configured install gets a manifest listing
+  // its own stream types and id prefixes
+  app.get("/:config/manifest.json", (req, res) => {
+    res.set("Access-Control-Allow-Origin", "*");
+    res.json(manifestFor(req.params.config));
+  });
+  app.use(getRouter(addonInterface));
+  app.use(
+    createApiRouter({
+      fetchStatusData,
+      parseConfig,
+      cacheStats: () => cache.stats(),
+      version: manifest.version,
+    })
+  );
+  app.use(createConfigureRouter({ manifest, parseConfig, sealer }));
+  return app;
+}
@@ -0,0 +1,46 @@
+// ============================================================================
+// Statusio • JSON files on disk
+// Shared by the cache (CACHE_FILE), expiry history (HISTORY_FILE) and the
+// notifier (NOTIFY_STATE_FILE): reading/writing the file, and the salted
+// keys their entries are filed under. Failures are logged, never thrown: a
+// bad or unwritable file only costs persistence.
+// ============================================================================
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+// Each store keeps its salt in its file (or CACHE_SALT) so keys survive a
+// restart; without a salt a key would be a checkable token fingerprint.
+export const newSalt = () => crypto.randomBytes(16).toString("hex");
+
+// HMAC of any JSON-able key material (provider + credentials, options, …)
+export const saltedKey = (salt, material) =>
+  crypto
+    .createHmac("sha256", salt)
+    .update(JSON.stringify(material))
+    .digest("hex");
+
+// Parsed contents, or null when missing/unreadable. `what` names the file
+// in log lines ("Cache file", …).
+export function readJsonFile(file, what) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT")
+      console.error(`[Statusio] ${what} ${file} ignored: ${e.message}`);
+    return null;
+  }
+}
+
+// Write-then-rename so a crash mid-write never leaves a truncated file
+export function writeJsonFile(file, data, what) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data), { mode: 0o600 });
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    console.error(`[Statusio] ${what} ${file} not written: ${e.message}`);
+  }
+}
@@ -0,0 +1,68 @@
+// ============================================================================
+// Statusio • Status thresholds
+// Days-left bands: <= 0 Expired, <= crit Critical, <= warn Warning, else OK.
+// Global config (warn_days / crit_days) with per-provider overrides
+// (<short>_warn_days / <short>_crit_days); blank inherits.
+// ============================================================================
+
+export const DEFAULT_THRESHOLDS = Object.freeze({ warn: 14, crit: 3 });
+const MAX_DAYS = 366;
+
+export const BAND_RANK = Object.freeze({ ok: 0, warn: 1, crit: 2, expired: 3 });
+
+export function getStatusInfo(days, { warn, crit } = DEFAULT_THRESHOLDS) {
+  if (days <= 0) return { emoji: "🔴", label: "Expired", band: "expired" };
+  if (days <= crit) return { emoji: "🟠", label: "Critical", band: "crit" };
+  if (days <= warn) return { emoji: "🟡", label: "Warning", band: "warn" };
+  return { emoji: "🟢", label: "OK", band: "ok" };
+}
+
+function parseDays(v) {
+  if (v === undefined || v === null || String(v).trim() === "") return null;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_DAYS) return null;
+  return n;
+}
+
+// Applies one level of overrides on top of `base`. A pair that would end up
+// out of order (crit >= warn) is rejected as a whole so bands never overlap.
+function layer(base, warnRaw, critRaw) {
+  const warn = parseDays(warnRaw) ?? base.warn;
+  const crit = parseDays(critRaw) ?? base.crit;
+  if (crit >= warn) return base;
+  return { warn, crit };
+}
+
+export function resolveThresholds(cfg = {}, provider = null) {
+  const global = layer(DEFAULT_THRESHOLDS, cfg.warn_days, cfg.crit_days);
+  if (!provider) return global;
+  const { short } = provider;
+  return layer(global, cfg[`${short}_warn_days`], cfg[`${short}_crit_days`]);
+}
+
+export const thresholdConfigFields = (providers) => [
+  {
+    key: "warn_days",
+    type: "number",
+    default: String(DEFAULT_THRESHOLDS.warn),
+    title: `Warning at ≤ N days left (default ${DEFAULT_THRESHOLDS.warn})`,
+  },
+  {
+    key: "crit_days",
+    type: "number",
+    default: String(DEFAULT_THRESHOLDS.crit),
+    title: `Critical at ≤ N days left (default ${DEFAULT_THRESHOLDS.crit})`,
+  },
+  ...providers.flatMap((p) => [
+    {
+      key: `${p.short}_warn_days`,
+      type: "number",
+      title: `${p.name} Warning days (blank = global)`,
+    },
+    {
+      key: `${p.short}_crit_days`,
+      type: "number",
+      title: `${p.name} Critical days (blank = global)`,
+    },
+  ]),
+];
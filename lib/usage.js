@@ -0,0 +1,79 @@
+// ============================================================================
+// Statusio • Usage / quota lines
+// Renders the optional `usage` section of a result (see providers/util.js)
+// as card lines, e.g. "📦 Fair-use: 42% used" or "🎁 Points: 1,200".
+// Off by default so the classic card keeps its shape; show_usage=on (or
+// SHOW_USAGE) turns it on.
+// ============================================================================
+
+import { t, formatNumber } from "./i18n.js";
+
+const UNITS = ["B", "KB", "MB", "GB", "TB", "PB"];
+
+export function formatBytes(bytes, lang) {
+  let v = Number(bytes);
+  let i = 0;
+  while (v >= 1000 && i < UNITS.length - 1) {
+    v /= 1000;
+    i++;
+  }
+  return `${formatNumber(v, lang, v < 10 && i > 0 ? 1 : 0)} ${UNITS[i]}`;
+}
+
+// [emoji, label key, value(usage, lang) -> string | null], in card order
+const ITEMS = [
+  [
+    "📦",
+    "usage_fair_use",
+    (u, lang) =>
+      u.fairUsePct != null
+        ? `${formatNumber(u.fairUsePct, lang)}% ${t(lang, "usage_used")}`
+        : null,
+  ],
+  [
+    "💾",
+    "usage_storage",
+    (u, lang) => {
+      if (u.spaceUsedBytes == null) return null;
+      const used = formatBytes(u.spaceUsedBytes, lang);
+      return u.spaceLimitBytes
+        ? `${used} / ${formatBytes(u.spaceLimitBytes, lang)}`
+        : `${used} ${t(lang, "usage_used")}`;
+    },
+  ],
+  [
+    "🚦",
+    "usage_traffic_left",
+    (u, lang) =>
+      u.trafficLeftBytes != null ? formatBytes(u.trafficLeftBytes, lang) : null,
+  ],
+  [
+    "⬇️",
+    "usage_downloaded",
+    (u, lang) =>
+      u.downloadedBytes != null ? formatBytes(u.downloadedBytes, lang) : null,
+  ],
+  ["🏷️", "usage_plan", (u) => u.plan ?? null],
+  [
+    "🎁",
+    "usage_points",
+    (u, lang) => (u.points != null ? formatNumber(u.points, lang) : null),
+  ],
+];
+
+// Lines for a result's usage ("" when there is none)
+export function formatUsage(usage, lang, { emoji = true } = {}) {
+  if (!usage) return "";
+  return ITEMS.map(([icon, key, value]) => {
+    const v = value(usage, lang);
+    if (v === null || v === undefined) return null;
+    return `${emoji ? `${icon} ` : ""}${t(lang, key)}: ${v}`;
+  })
+    .filter(Boolean)
+    .join("\n");
+}
+
+export const resolveShowUsage = (cfg = {}) =>
+  String(cfg.show_usage || process.env.SHOW_USAGE || "off")
+    .trim()
+    .toLowerCase() === "on";
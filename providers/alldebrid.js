@@ -0,0 +1,87 @@
+// ----------------------------- AllDebrid -----------------------------------
+import {
+  callProvider,
+  daysLeftFromEpochSec,
+  premiumResult,
+  freeResult,
+  errorResult,
+  categorizeMessage,
+  usageOf,
+  withUsage,
+} from "./util.js";
+import { oauthErrorFor } from "./oauth.js";
+
+const PIN_BASE = "https://api.alldebrid.com/v4/pin";
+const AGENT = "statusio";
+
+const allDebrid = {
+  id: "alldebrid",
+  short: "ad",
+  name: "AllDebrid",
+  credential: {
+    key: "ad_key",
+    env: "AD_KEY",
+    noun: "key",
+    title: "AllDebrid API Key (Bearer)",
+  },
+  fields: [],
+  auth: { scheme: "bearer" },
+  endpoint: "https://api.alldebrid.com/v4/user",
+  urls: {
+    dashboard: "https://alldebrid.com/account/",
+    renew: "https://alldebrid.com/offer/",
+  },
+
+  // PIN flow: the user enters the PIN on alldebrid.com/pin and we receive a
+  // regular (non-expiring) API key.
+  login: {
+    async start(request) {
+      const res = await request(`${PIN_BASE}/get?agent=${AGENT}`);
+      const d = res.json?.data;
+      if (!res.ok || res.json?.status !== "success" || !d?.pin)
+        throw oauthErrorFor(res, "PIN request failed");
+      return {
+        state: { pin: d.pin, check: d.check },
+        userCode: d.pin,
+        verificationUrl: d.base_url || d.user_url,
+        interval: 5,
+        expiresIn: d.expires_in,
+      };
+    },
+    async poll({ pin, check }, request) {
+      const qs = new URLSearchParams({ agent: AGENT, pin, check });
+      const res = await request(`${PIN_BASE}/check?${qs}`);
+      if (!res.ok || res.json?.status !== "success")
+        throw oauthErrorFor(res, "PIN check failed");
+      const d = res.json.data;
+      return d?.activated && d.apikey ? { config: { ad_key: d.apikey } } : null;
+    },
+  },
+
+  normalize(j) {
+    if (j?.status !== "success" || !j?.data?.user) {
+      // { status: "error", error: { code: "AUTH_BAD_APIKEY", message } }
+      const code = j?.error?.code || j?.error?.message;
+      return errorResult(categorizeMessage(code), code || "bad response");
+    }
+    const u = j.data.user;
+    const username = u?.username || null;
+    let out = { days: null, untilISO: null };
+    if (Number.isFinite(Number(u.premiumUntil)) && Number(u.premiumUntil) > 0)
+      out = daysLeftFromEpochSec(Number(u.premiumUntil));
+    // remainingTrialQuota is in MB and only meaningful on trial accounts
+    const usage = usageOf({
+      points: u.fidelityPoints,
+      trafficLeftBytes: u.isTrial ? u.remainingTrialQuota * 1e6 : null,
+    });
+    return withUsage(
+      u.isPremium ? premiumResult(out, username) : freeResult(username),
+      usage
+    );
+  },
+};
+
+export const pAllDebrid = ({ key, fetchImpl }) =>
+  callProvider(allDebrid, { credential: key, fetchImpl });
+
+export default allDebrid;
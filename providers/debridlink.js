@@ -0,0 +1,75 @@
+// ----------------------------- Debrid-Link ---------------------------------
+import {
+  callProvider,
+  daysLeftFromDurationSec,
+  premiumResult,
+  freeResult,
+  errorResult,
+  categorizeMessage,
+} from "./util.js";
+
+const DEFAULT_ENDPOINT = "https://debrid-link.com/api/account/infos";
+
+const debridLink = {
+  id: "debridlink",
+  short: "dl",
+  name: "Debrid-Link",
+  credential: {
+    key: "dl_key",
+    env: "DL_KEY",
+    noun: "key",
+    title: "Debrid-Link API Key/Token",
+  },
+  fields: [
+    {
+      key: "dl_auth",
+      type: "select",
+      options: ["Bearer", "query"],
+      title: "Debrid-Link Auth Scheme",
+      default: "Bearer",
+    },
+    {
+      key: "dl_endpoint",
+      type: "text",
+      title: "Debrid-Link Endpoint Override",
+      default: DEFAULT_ENDPOINT,
+    },
+  ],
+  auth: (opts) =>
+    (opts.dl_auth || "Bearer") === "Bearer"
+      ? { scheme: "bearer" }
+      : { scheme: "query", param: "apikey" },
+  endpoint: (opts) => String(opts.dl_endpoint || DEFAULT_ENDPOINT).trim(),
+  urls: {
+    dashboard: "https://debrid-link.com/webapp/account",
+    renew: "https://debrid-link.com/premium",
+  },
+
+  normalize(j) {
+    if (!j?.success || !j?.value)
+      return errorResult(
+        categorizeMessage(j?.error),
+        j?.error || "bad response"
+      );
+    const secs = Number(j.value.premiumLeft || 0);
+    const out =
+      secs > 0 ? daysLeftFromDurationSec(secs) : { days: 0, untilISO: null };
+    const username = j?.value?.username || null;
+    if (out.days > 0) return premiumResult(out, username);
+    return freeResult(username, `accountType=${j.value.accountType ?? "?"}`);
+  },
+};
+
+export const pDebridLink = ({
+  key,
+  authScheme = "Bearer",
+  endpoint = DEFAULT_ENDPOINT,
+  fetchImpl,
+}) =>
+  callProvider(debridLink, {
+    credential: key,
+    options: { dl_auth: authScheme, dl_endpoint: endpoint },
+    fetchImpl,
+  });
+
+export default debridLink;
@@ -0,0 +1,45 @@
+// ----------------------------- EasyDebrid ----------------------------------
+// GET /api/v1/user/details -> { id, paid_until }  (paid_until = epoch seconds)
+import {
+  callProvider,
+  daysLeftFromEpochSec,
+  premiumResult,
+  freeResult,
+  errorResult,
+  categorizeMessage,
+} from "./util.js";
+
+const easyDebrid = {
+  id: "easydebrid",
+  short: "ed",
+  name: "EasyDebrid",
+  credential: {
+    key: "ed_token",
+    env: "ED_TOKEN",
+    noun: "token",
+    title: "EasyDebrid API Key (Bearer)",
+  },
+  fields: [],
+  auth: { scheme: "bearer" },
+  endpoint: "https://easydebrid.com/api/v1/user/details",
+  urls: {
+    dashboard: "https://easydebrid.com/dashboard",
+    renew: "https://easydebrid.com/",
+  },
+
+  normalize(j) {
+    if (!j || typeof j !== "object" || !("paid_until" in j))
+      return errorResult(
+        categorizeMessage(j?.error),
+        j?.error || "bad response"
+      );
+    const username = j.id != null ? String(j.id) : null;
+    const out = daysLeftFromEpochSec(j.paid_until);
+    return out.days > 0 ? premiumResult(out, username) : freeResult(username);
+  },
+};
+
+export const pEasyDebrid = ({ token, fetchImpl }) =>
+  callProvider(easyDebrid, { credential: token, fetchImpl });
+
+export default easyDebrid;
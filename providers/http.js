@@ -0,0 +1,184 @@
+// ============================================================================
+// Statusio • Provider HTTP layer
+// Every provider call goes through here:
+//   - per-request timeout covering headers and body (a hanging API can't
+//     stall the whole response)
+//   - bounded retries with exponential backoff for 5xx and network errors
+//     (timeouts are not retried — the caller is already waiting)
+//   - 429: honours Retry-After when it's short, otherwise backs off that
+//     credential (capped at a few minutes) so it doesn't get throttled
+//     harder; other users of the provider are not affected
+//   - per-provider concurrency limit
+// Tunables: HTTP_TIMEOUT_MS, HTTP_RETRIES, PROVIDER_CONCURRENCY.
+// ============================================================================
+
+import fetch from "node-fetch";
+
+const envInt = (name, dflt) => {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n >= 0 ? n : dflt;
+};
+
+export const HTTP_DEFAULTS = Object.freeze({
+  timeoutMs: envInt("HTTP_TIMEOUT_MS", 8000),
+  retries: envInt("HTTP_RETRIES", 2),
+  concurrency: Math.max(1, envInt("PROVIDER_CONCURRENCY", 4)),
+  backoffMs: 400,
+  maxRetryAfterMs: 10_000,
+  maxCooldownMs: 5 * 60_000,
+});
+
+const MAX_COOLDOWNS = 1000;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export class RateLimitedError extends Error {
+  constructor(retryAt) {
+    const secs = Math.max(1, Math.ceil((retryAt - Date.now()) / 1000));
+    super(`rate limited, retry in ${secs}s`);
+    this.code = "RATE_LIMITED";
+    this.retryAt = retryAt;
+  }
+}
+
+// ----------------------------- Limits --------------------------------------
+const limiters = new Map();
+const cooldowns = new Map();
+
+function limiterFor(key, max) {
+  let l = limiters.get(key);
+  if (!l) {
+    l = { active: 0, queue: [] };
+    limiters.set(key, l);
+  }
+  l.max = max;
+  return l;
+}
+
+async function withLimit(key, max, fn) {
+  const l = limiterFor(key, max);
+  if (l.active >= l.max) await new Promise((r) => l.queue.push(r));
+  l.active++;
+  try {
+    return await fn();
+  } finally {
+    l.active--;
+    l.queue.shift()?.();
+  }
+}
+
+// Remembers a 429 backoff; expired entries are dropped and the oldest go
+// first once MAX_COOLDOWNS is reached (one per throttled credential)
+function coolDown(key, until, now = Date.now()) {
+  for (const [k, at] of cooldowns) if (at <= now) cooldowns.delete(k);
+  cooldowns.delete(key);
+  cooldowns.set(key, until);
+  if (cooldowns.size > MAX_COOLDOWNS)
+    cooldowns.delete(cooldowns.keys().next().value);
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value == null || value === "") return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return now + Math.max(0, secs) * 1000;
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : at;
+}
+
+// ----------------------------- Request -------------------------------------
+// The body is read before returning, so text()/json() on the result resolve
+// right away
+const buffered = (res, text) => ({
+  ok: res.ok,
+  status: res.status,
+  statusText: res.statusText,
+  headers: res.headers,
+  text: async () => text,
+  json: async () => JSON.parse(text),
+});
+
+// One deadline for headers and body: a server that sends headers and then
+// stalls is cut off too. The race covers fetch implementations that don't
+// abort a body already being read.
+async function fetchWithTimeout(fetchImpl, url, init, timeoutMs) {
+  const ctrl = new AbortController();
+  let timer;
+  const deadline = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      ctrl.abort();
+      reject(new Error("aborted"));
+    }, timeoutMs);
+  });
+  try {
+    const read = async () => {
+      const res = await fetchImpl(url, { ...init, signal: ctrl.signal });
+      return buffered(res, await res.text());
+    };
+    return await Promise.race([read(), deadline]);
+  } catch (e) {
+    if (ctrl.signal.aborted) {
+      const err = new Error(`timeout after ${timeoutMs}ms`);
+      err.code = "TIMEOUT";
+      throw err;
+    }
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// opts.key groups requests for the concurrency limit (the provider id);
+// opts.cooldownKey scopes a 429 backoff (defaults to key — providers pass
+// one per credential). Resolves with the final response, body already read
+// (possibly non-ok); throws on network failure, timeout, or while cooling
+// down after a 429.
+export async function httpRequest(url, init = {}, opts = {}) {
+  const {
+    key = new URL(url).host,
+    cooldownKey = key,
+    fetchImpl = fetch,
+    timeoutMs = HTTP_DEFAULTS.timeoutMs,
+    retries = HTTP_DEFAULTS.retries,
+    concurrency = HTTP_DEFAULTS.concurrency,
+    backoffMs = HTTP_DEFAULTS.backoffMs,
+    maxRetryAfterMs = HTTP_DEFAULTS.maxRetryAfterMs,
+    maxCooldownMs = HTTP_DEFAULTS.maxCooldownMs,
+  } = opts;
+
+  const coolUntil = cooldowns.get(cooldownKey);
+  if (coolUntil && Date.now() < coolUntil) throw new RateLimitedError(coolUntil);
+
+  for (let attempt = 0; ; attempt++) {
+    const last = attempt >= retries;
+    let res;
+    try {
+      res = await withLimit(key, concurrency, () =>
+        fetchWithTimeout(fetchImpl, url, init, timeoutMs)
+      );
+    } catch (e) {
+      if (e.code === "TIMEOUT" || last) throw e;
+      await sleep(backoffMs * 2 ** attempt);
+      continue;
+    }
+
+    if (res.status === 429) {
+      const retryAt =
+        parseRetryAfter(res.headers?.get?.("retry-after")) ??
+        Date.now() + backoffMs * 2 ** attempt;
+      const wait = retryAt - Date.now();
+      if (!last && wait <= maxRetryAfterMs) {
+        await sleep(Math.max(0, wait));
+        continue;
+      }
+      coolDown(cooldownKey, Math.min(retryAt, Date.now() + maxCooldownMs));
+      return res;
+    }
+
+    if (res.status >= 500 && !last) {
+      await sleep(backoffMs * 2 ** attempt);
+      continue;
+    }
+    return res;
+  }
+}
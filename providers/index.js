@@ -0,0 +1,195 @@
+// ============================================================================
+// Statusio • Provider registry
+// Each provider is one module exporting a descriptor:
+//   id          stable id ("realdebrid"), used for enable flags
+//   short       short prefix ("rd"), used in cache keys
+//   name        display name on the card
+//   credential  { key, env, noun, title } — config key + env var fallback
+//   fields      extra manifest.config entries (options passed to auth/endpoint)
+//   auth        { scheme: "bearer" } | { scheme: "query", param } (or fn(opts))
+//   endpoint    account-info URL (or fn(opts))
+//   urls        { dashboard, renew } — card link (overridable per config)
+//   normalize   (json, opts) => { premium, daysLeft, untilISO, username, note }
+//   login/oauth optional device-code login + token refresh (see oauth.js)
+// Manifest config, token resolution, cache keys and the fetch fan-out are all
+// derived from this list — adding a provider means adding one module here.
+// ============================================================================
+
+import { callProvider, errorResult, ERROR_CATEGORIES } from "./util.js";
+import { accessTokenFor } from "./oauth.js";
+import realDebrid from "./realdebrid.js";
+import allDebrid from "./alldebrid.js";
+import premiumize from "./premiumize.js";
+import torBox from "./torbox.js";
+import debridLink from "./debridlink.js";
+import easyDebrid from "./easydebrid.js";
+import offcloud from "./offcloud.js";
+import putio from "./putio.js";
+
+const PROVIDERS = [
+  realDebrid,
+  allDebrid,
+  premiumize,
+  torBox,
+  debridLink,
+  easyDebrid,
+  offcloud,
+  putio,
+];
+
+const REQUIRED_KEYS = ["id", "short", "name", "credential", "endpoint", "normalize"];
+
+// Private forks can register extra providers before the manifest is built.
+export function registerProvider(provider) {
+  for (const k of REQUIRED_KEYS)
+    if (!provider?.[k]) throw new Error(`provider is missing "${k}"`);
+  if (PROVIDERS.some((p) => p.id === provider.id))
+    throw new Error(`provider "${provider.id}" is already registered`);
+  PROVIDERS.push({ fields: [], urls: {}, ...provider });
+  return provider;
+}
+
+export const listProviders = () => PROVIDERS.slice();
+export const getProvider = (id) => PROVIDERS.find((p) => p.id === id) || null;
+
+const renewKey = (p) => `${p.short}_renew_url`;
+
+// manifest.config entries for every provider, in registry order
+export function providerConfigFields() {
+  return PROVIDERS.flatMap((p) => [
+    { key: p.credential.key, type: "password", title: p.credential.title },
+    ...(p.fields || []),
+    ...(p.oauth?.fields || []),
+    {
+      key: renewKey(p),
+      type: "text",
+      title: `${p.name} Renew Link Override (optional, e.g. referral)`,
+    },
+  ]);
+}
+
+// Where the card links to: user override (http/https only) > renew > dashboard
+export function renewUrlFor(provider, cfg = {}) {
+  if (!provider) return null;
+  const override = String(cfg[renewKey(provider)] || "").trim();
+  if (/^https?:\/\/\S+$/i.test(override)) return override;
+  return provider.urls?.renew || provider.urls?.dashboard || null;
+}
+
+const MAX_ACCOUNTS = 10;
+const NICKNAMED = /^([^:]{1,40}?)\s*:\s*(\S+)$/;
+const TOKEN_CHARS = /^[\w.~+/=-]+$/;
+
+// "Mom: tok" is a nickname; "abc:def" is a token that holds a colon. Only
+// whitespace or a non-token character marks the text before it as a name.
+function splitNickname(s) {
+  const m = s.match(NICKNAMED);
+  if (!m || (!/\s/.test(s) && TOKEN_CHARS.test(m[1]))) return [null, s];
+  return [m[1], m[2]];
+}
+
+// A credential value may hold several accounts: an array of tokens or
+// { token, name } objects, or a string like "Mom: tok1, Dad: tok2" (the SDK
+// form and ENV can't hold arrays). Returns [{ credential, nickname }].
+export function parseAccountList(value) {
+  const items = Array.isArray(value)
+    ? value
+    : String(value ?? "").split(/[,\n]+/);
+  const out = [];
+  for (const item of items) {
+    let credential;
+    let nickname = null;
+    if (item && typeof item === "object") {
+      credential = String(item.token || item.key || "").trim();
+      nickname = String(item.name || "").trim() || null;
+    } else {
+      [nickname, credential] = splitNickname(String(item ?? "").trim());
+    }
+    if (credential) out.push({ credential, nickname });
+  }
+  return out.slice(0, MAX_ACCOUNTS);
+}
+
+// Every account configured for a provider: the config list wins over the
+// ENV list; blank values count as unset. opts.env: false skips the ENV
+// fallback (remote requests in operator mode)
+export function resolveCredentials(provider, cfg = {}, opts = {}) {
+  const { env: useEnv = true } = opts;
+  const { key, env } = provider.credential;
+  const fromCfg = parseAccountList(cfg[key]);
+  return fromCfg.length || !useEnv
+    ? fromCfg
+    : parseAccountList(env ? process.env[env] : "");
+}
+
+export function resolveOptions(provider, cfg = {}) {
+  const opts = {};
+  for (const f of provider.fields || []) opts[f.key] = cfg[f.key] || f.default;
+  return opts;
+}
+
+// OAuth refresh credentials from config, unless a token was typed in
+export function resolveOAuth(provider, cfg = {}) {
+  if (!provider.oauth) return null;
+  if (parseAccountList(cfg[provider.credential.key]).length) return null;
+  return provider.oauth.material(cfg) || null;
+}
+
+// One entry per account:
+//   { provider, credential, oauth, nickname, options, enabled }
+// `oauth` (refresh credentials) takes the place of the credential; the
+// access token is fetched right before the provider call. Providers without
+// any account still get one disabled entry. opts.env: false ignores ENV
+// tokens (see lib/operator.js).
+export function resolveAccounts(cfg = {}, opts = {}) {
+  return PROVIDERS.flatMap((provider) => {
+    const options = resolveOptions(provider, cfg);
+    const oauth = resolveOAuth(provider, cfg);
+    const list = oauth
+      ? [{ credential: "", nickname: null }]
+      : resolveCredentials(provider, cfg, opts);
+    const base = { provider, oauth, options };
+    if (!list.length)
+      return [{ ...base, credential: "", nickname: null, enabled: false }];
+    return list.map((a) => ({ ...base, ...a, enabled: true }));
+  });
+}
+
+export async function fetchAccount(account, fetchImpl) {
+  const { provider, options } = account;
+  let credential = account.credential;
+  if (account.oauth) {
+    try {
+      credential = await accessTokenFor(provider, account.oauth, fetchImpl);
+    } catch (e) {
+      const category =
+        e.category ||
+        (e.code === "RATE_LIMITED"
+          ? ERROR_CATEGORIES.RATE_LIMITED
+          : ERROR_CATEGORIES.DOWN);
+      const { id, name } = provider;
+      return { id, name, ...errorResult(category, e.message) };
+    }
+  }
+  return callProvider(provider, { credential, options, fetchImpl });
+}
+
+export {
+  realDebrid,
+  allDebrid,
+  premiumize,
+  torBox,
+  debridLink,
+  easyDebrid,
+  offcloud,
+  putio,
+};
+export { startLogin, pollLogin } from "./oauth.js";
+export { pRealDebrid } from "./realdebrid.js";
+export { pAllDebrid } from "./alldebrid.js";
+export { pPremiumize } from "./premiumize.js";
+export { pTorBox } from "./torbox.js";
+export { pDebridLink } from "./debridlink.js";
+export { pEasyDebrid } from "./easydebrid.js";
+export { pOffcloud } from "./offcloud.js";
+export { pPutio } from "./putio.js";
@@ -0,0 +1,161 @@
+// ============================================================================
+// Statusio • Device-code logins & access-token refresh
+// Providers can add two optional members to their descriptor:
+//   login  { start(request) -> { state, userCode, verificationUrl, interval,
+//                                expiresIn },
+//            poll(state, request) -> null while pending | { config } }
+//          `config` holds the keys to merge into the addon config.
+//   oauth  { fields,                 extra manifest.config entries
+//            material(cfg) -> obj|null  refresh credentials found in config
+//            refresh(material, request) -> { accessToken, expiresIn } }
+// Login sessions live here (server-side) so device codes never reach the page.
+// Access tokens are kept in memory only and refreshed shortly before expiry;
+// the refresh credentials themselves stay in the (optionally sealed) config.
+// ============================================================================
+
+import crypto from "node:crypto";
+import { httpRequest } from "./http.js";
+import { ERROR_CATEGORIES, categorizeStatus } from "./util.js";
+
+const REFRESH_EARLY_MS = 5 * 60 * 1000;
+const MAX_SESSIONS = 500;
+const MAX_TOKENS = 500;
+
+// JSON call for login/token endpoints: { ok, status, json } — providers
+// decide what a non-2xx means (several use 4xx for "still pending").
+export async function requestJson(url, init = {}, { key, fetchImpl } = {}) {
+  const res = await httpRequest(
+    url,
+    { ...init, headers: { "User-Agent": "Statusio/1.0", ...init.headers } },
+    { key, fetchImpl }
+  );
+  let json = null;
+  try {
+    json = await res.json();
+  } catch {
+    // empty or non-JSON body
+  }
+  return { ok: res.ok, status: res.status, json };
+}
+
+export const formBody = (params) => ({
+  method: "POST",
+  headers: { "Content-Type": "application/x-www-form-urlencoded" },
+  body: new URLSearchParams(params).toString(),
+});
+
+// Thrown by login/refresh hooks; `category` follows ERROR_CATEGORIES
+export class OAuthError extends Error {
+  constructor(message, category = ERROR_CATEGORIES.AUTH) {
+    super(message);
+    this.code = "OAUTH";
+    this.category = category;
+  }
+}
+
+export const oauthErrorFor = (res, what) =>
+  new OAuthError(
+    `${what}: ${res.json?.error || `HTTP ${res.status}`}`,
+    categorizeStatus(res.status)
+  );
+
+const requesterFor = (provider, fetchImpl) => (url, init) =>
+  requestJson(url, init, { key: `${provider.id}:oauth`, fetchImpl });
+
+// ----------------------------- Login sessions ------------------------------
+const sessions = new Map();
+
+function pruneSessions() {
+  const now = Date.now();
+  for (const [id, s] of sessions) if (s.expiresAt <= now) sessions.delete(id);
+  while (sessions.size >= MAX_SESSIONS)
+    sessions.delete(sessions.keys().next().value);
+}
+
+export async function startLogin(provider, fetchImpl) {
+  if (!provider?.login) throw new OAuthError("login not supported");
+  const out = await provider.login.start(requesterFor(provider, fetchImpl));
+  pruneSessions();
+  const session = crypto.randomBytes(16).toString("base64url");
+  sessions.set(session, {
+    provider: provider.id,
+    state: out.state,
+    expiresAt: Date.now() + (out.expiresIn || 600) * 1000,
+  });
+  return {
+    session,
+    userCode: out.userCode,
+    verificationUrl: out.verificationUrl,
+    interval: Math.max(2, out.interval || 5),
+    expiresIn: out.expiresIn || 600,
+  };
+}
+
+// { status: "pending" } | { status: "done", config } | { status: "expired" }
+export async function pollLogin(provider, session, fetchImpl) {
+  const s = sessions.get(session);
+  if (!s || s.provider !== provider?.id || s.expiresAt <= Date.now()) {
+    sessions.delete(session);
+    return { status: "expired" };
+  }
+  const out = await provider.login.poll(
+    s.state,
+    requesterFor(provider, fetchImpl)
+  );
+  if (!out) return { status: "pending" };
+  sessions.delete(session);
+  return { status: "done", config: out.config };
+}
+
+// ----------------------------- Access tokens -------------------------------
+// LRU of access tokens per refresh material; expired ones are dropped
+const tokens = new Map();
+const inflight = new Map();
+
+function storeToken(key, entry) {
+  const now = Date.now();
+  for (const [k, t] of tokens) if (t.expiresAt <= now) tokens.delete(k);
+  tokens.delete(key);
+  tokens.set(key, entry);
+  if (tokens.size > MAX_TOKENS) tokens.delete(tokens.keys().next().value);
+}
+
+const tokenKey = (provider, material) =>
+  crypto
+    .createHash("sha256")
+    .update(`${provider.id}\n${JSON.stringify(material)}`)
+    .digest("hex");
+
+export async function accessTokenFor(provider, material, fetchImpl) {
+  const key = tokenKey(provider, material);
+  const hit = tokens.get(key);
+  if (hit && hit.expiresAt - REFRESH_EARLY_MS > Date.now()) {
+    tokens.delete(key);
+    tokens.set(key, hit);
+    return hit.token;
+  }
+  if (inflight.has(key)) return inflight.get(key);
+
+  const p = (async () => {
+    try {
+      const { accessToken, expiresIn } = await provider.oauth.refresh(
+        material,
+        requesterFor(provider, fetchImpl)
+      );
+      if (!accessToken) throw new OAuthError("no access token returned");
+      storeToken(key, {
+        token: accessToken,
+        expiresAt: Date.now() + (expiresIn || 3600) * 1000,
+      });
+      return accessToken;
+    } catch (e) {
+      // a failed refresh must not keep serving the old token
+      tokens.delete(key);
+      throw e;
+    } finally {
+      inflight.delete(key);
+    }
+  })();
+  inflight.set(key, p);
+  return p;
+}
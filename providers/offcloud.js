@@ -0,0 +1,62 @@
+// ----------------------------- Offcloud ------------------------------------
+// GET /api/account/info?key=... — field names have drifted between API
+// revisions, so expiry/premium are read from whichever variant is present.
+import {
+  callProvider,
+  daysLeftFromEpochSec,
+  daysLeftFromISO,
+  premiumResult,
+  freeResult,
+  errorResult,
+  categorizeMessage,
+} from "./util.js";
+
+function expiryOf(j) {
+  const raw = j.expirationDate ?? j.expiration_date ?? j.premiumUntil;
+  if (raw == null || raw === "") return { days: null, untilISO: null };
+  const n = Number(raw);
+  if (Number.isFinite(n)) {
+    // epoch millis vs epoch seconds
+    return daysLeftFromEpochSec(n > 1e12 ? Math.floor(n / 1000) : n);
+  }
+  return daysLeftFromISO(raw);
+}
+
+const offcloud = {
+  id: "offcloud",
+  short: "oc",
+  name: "Offcloud",
+  credential: {
+    key: "oc_key",
+    env: "OC_KEY",
+    noun: "key",
+    title: "Offcloud API Key",
+  },
+  fields: [],
+  auth: { scheme: "query", param: "key" },
+  endpoint: "https://offcloud.com/api/account/info",
+  urls: {
+    dashboard: "https://offcloud.com/#/account",
+    renew: "https://offcloud.com/#/pricing",
+  },
+
+  normalize(j) {
+    if (!j || typeof j !== "object" || j.error)
+      return errorResult(
+        categorizeMessage(j?.error),
+        j?.error || "bad response"
+      );
+    const username = j.email || j.username || j.userId || null;
+    const out = expiryOf(j);
+    const flagged = j.isPremium ?? j.is_premium ?? j.premium;
+    const isPrem =
+      flagged === true || (flagged == null && (out.days ?? 0) > 0);
+    if (isPrem) return premiumResult(out, username && String(username));
+    return freeResult(username && String(username));
+  },
+};
+
+export const pOffcloud = ({ key, fetchImpl }) =>
+  callProvider(offcloud, { credential: key, fetchImpl });
+
+export default offcloud;
@@ -0,0 +1,114 @@
+// ----------------------------- Premiumize ----------------------------------
+import {
+  callProvider,
+  daysLeftFromEpochSec,
+  premiumResult,
+  freeResult,
+  errorResult,
+  categorizeMessage,
+  usageOf,
+  withUsage,
+} from "./util.js";
+import { formBody, OAuthError, oauthErrorFor } from "./oauth.js";
+
+// Premiumize only issues device codes to registered apps
+const TOKEN_URL = "https://www.premiumize.me/token";
+const clientId = () => String(process.env.PM_CLIENT_ID || "").trim();
+
+const premiumize = {
+  id: "premiumize",
+  short: "pm",
+  name: "Premiumize",
+  credential: {
+    key: "pm_key",
+    env: "PM_KEY",
+    noun: "key",
+    title: "Premiumize apikey OR access_token",
+  },
+  fields: [
+    {
+      key: "pm_auth",
+      type: "select",
+      options: ["apikey", "oauth"],
+      title: "Premiumize Credential Type",
+      default: "apikey",
+    },
+  ],
+  // apikey by default; OAuth access tokens go in `access_token` instead
+  auth: (opts) => ({
+    scheme: "query",
+    param: opts.pm_auth === "oauth" ? "access_token" : "apikey",
+  }),
+  endpoint: "https://www.premiumize.me/api/account/info",
+  urls: {
+    dashboard: "https://www.premiumize.me/account",
+    renew: "https://www.premiumize.me/premium",
+  },
+
+  // Device code -> long-lived access token, stored as pm_key with
+  // pm_auth=oauth (Premiumize issues no refresh tokens).
+  login: {
+    async start(request) {
+      if (!clientId())
+        throw new OAuthError("set PM_CLIENT_ID to enable Premiumize login");
+      const res = await request(
+        TOKEN_URL,
+        formBody({ client_id: clientId(), response_type: "device_code" })
+      );
+      if (!res.ok || !res.json?.device_code)
+        throw oauthErrorFor(res, "device code request failed");
+      const j = res.json;
+      return {
+        state: { deviceCode: j.device_code },
+        userCode: j.user_code,
+        verificationUrl: j.verification_uri,
+        interval: j.interval,
+        expiresIn: j.expires_in,
+      };
+    },
+    async poll({ deviceCode }, request) {
+      const res = await request(
+        TOKEN_URL,
+        formBody({
+          client_id: clientId(),
+          grant_type: "device_code",
+          code: deviceCode,
+        })
+      );
+      if (["authorization_pending", "slow_down"].includes(res.json?.error))
+        return null;
+      if (!res.ok || !res.json?.access_token)
+        throw oauthErrorFor(res, "token request failed");
+      return { config: { pm_key: res.json.access_token, pm_auth: "oauth" } };
+    },
+  },
+
+  normalize(j) {
+    if (String(j.status).toLowerCase() !== "success")
+      return errorResult(
+        categorizeMessage(j.message),
+        j.message || "bad response"
+      );
+    const out = daysLeftFromEpochSec(j.premium_until || 0);
+    const username = j?.customer_id ? String(j.customer_id) : null;
+    // limit_used is the fair-use share (0..1), space_used is bytes
+    const usage = usageOf({
+      fairUsePct:
+        j.limit_used != null ? Math.round(Number(j.limit_used) * 100) : null,
+      spaceUsedBytes: j.space_used,
+    });
+    return withUsage(
+      out.days > 0 ? premiumResult(out, username) : freeResult(username),
+      usage
+    );
+  },
+};
+
+export const pPremiumize = ({ key, useOAuth = false, fetchImpl }) =>
+  callProvider(premiumize, {
+    credential: key,
+    options: { pm_auth: useOAuth ? "oauth" : "apikey" },
+    fetchImpl,
+  });
+
+export default premiumize;
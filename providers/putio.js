@@ -0,0 +1,61 @@
+// ----------------------------- Put.io --------------------------------------
+// GET /v2/account/info -> { status: "OK", info: { username, mail,
+//   account_active, plan_expiration_date: "2026-01-01T00:00:00",
+//   disk: { avail, size, used } } }
+import {
+  callProvider,
+  daysLeftFromISO,
+  premiumResult,
+  freeResult,
+  errorResult,
+  categorizeMessage,
+  usageOf,
+  withUsage,
+} from "./util.js";
+
+// Put.io sends naive timestamps; they are UTC.
+const asUTC = (s) => (/[zZ]|[+-]\d\d:?\d\d$/.test(s) ? s : `${s}Z`);
+
+const putio = {
+  id: "putio",
+  short: "pi",
+  name: "Put.io",
+  credential: {
+    key: "pi_token",
+    env: "PI_TOKEN",
+    noun: "token",
+    title: "Put.io OAuth Token (Bearer)",
+  },
+  fields: [],
+  auth: { scheme: "bearer" },
+  endpoint: "https://api.put.io/v2/account/info",
+  urls: {
+    dashboard: "https://app.put.io/account",
+    renew: "https://app.put.io/plans",
+  },
+
+  normalize(j) {
+    if (String(j?.status).toUpperCase() !== "OK" || !j?.info)
+      return errorResult(
+        categorizeMessage(j?.error_type || j?.error_message),
+        j?.error_message || "bad response"
+      );
+    const u = j.info;
+    const username = u.username || u.mail || null;
+    const out = u.plan_expiration_date
+      ? daysLeftFromISO(asUTC(String(u.plan_expiration_date)))
+      : { days: null, untilISO: null };
+    const usage = usageOf({
+      spaceUsedBytes: u.disk?.used,
+      spaceLimitBytes: u.disk?.size,
+    });
+    if (u.account_active !== false && (out.days ?? 0) > 0)
+      return withUsage(premiumResult(out, username), usage);
+    return withUsage(freeResult(username), usage);
+  },
+};
+
+export const pPutio = ({ token, fetchImpl }) =>
+  callProvider(putio, { credential: token, fetchImpl });
+
+export default putio;
@@ -0,0 +1,164 @@
+// ----------------------------- Real-Debrid ---------------------------------
+import {
+  callProvider,
+  daysLeftFromEpochSec,
+  daysLeftFromISO,
+  premiumResult,
+  freeResult,
+  unknownResult,
+  usageOf,
+  withUsage,
+} from "./util.js";
+import { formBody, OAuthError, oauthErrorFor } from "./oauth.js";
+
+// Real-Debrid's public client id for open-source apps (device flow)
+const OAUTH_BASE = "https://api.real-debrid.com/oauth/v2";
+const OPEN_SOURCE_CLIENT_ID = "X245A4XAIBGVM";
+const DEVICE_GRANT = "http://oauth.net/grant_type/device/1.0";
+
+const realDebrid = {
+  id: "realdebrid",
+  short: "rd",
+  name: "Real-Debrid",
+  credential: {
+    key: "rd_token",
+    env: "RD_TOKEN",
+    noun: "token",
+    title: "Real-Debrid Token (Bearer)",
+  },
+  fields: [],
+  auth: { scheme: "bearer" },
+  endpoint: "https://api.real-debrid.com/rest/1.0/user",
+  urls: {
+    dashboard: "https://real-debrid.com/account",
+    renew: "https://real-debrid.com/premium",
+  },
+
+  // Device code -> per-user client credentials -> access + refresh token.
+  // Only the refresh side goes into the config; rd_token stays empty.
+  login: {
+    async start(request) {
+      const qs = new URLSearchParams({
+        client_id: OPEN_SOURCE_CLIENT_ID,
+        new_credentials: "yes",
+      });
+      const res = await request(`${OAUTH_BASE}/device/code?${qs}`);
+      if (!res.ok || !res.json?.device_code)
+        throw oauthErrorFor(res, "device code request failed");
+      const j = res.json;
+      return {
+        state: { deviceCode: j.device_code },
+        userCode: j.user_code,
+        verificationUrl: j.verification_url,
+        interval: j.interval,
+        expiresIn: j.expires_in,
+      };
+    },
+    async poll({ deviceCode }, request) {
+      const qs = new URLSearchParams({
+        client_id: OPEN_SOURCE_CLIENT_ID,
+        code: deviceCode,
+      });
+      const creds = await request(`${OAUTH_BASE}/device/credentials?${qs}`);
+      // 4xx until the user has entered the code
+      if (!creds.ok && creds.status < 500) return null;
+      if (!creds.ok || !creds.json?.client_secret)
+        throw oauthErrorFor(creds, "credentials request failed");
+      const { client_id, client_secret } = creds.json;
+      const tok = await request(
+        `${OAUTH_BASE}/token`,
+        formBody({
+          client_id,
+          client_secret,
+          code: deviceCode,
+          grant_type: DEVICE_GRANT,
+        })
+      );
+      if (!tok.ok || !tok.json?.refresh_token)
+        throw oauthErrorFor(tok, "token request failed");
+      return {
+        config: {
+          rd_token: "",
+          rd_client_id: client_id,
+          rd_client_secret: client_secret,
+          rd_refresh_token: tok.json.refresh_token,
+        },
+      };
+    },
+  },
+
+  oauth: {
+    fields: [
+      {
+        key: "rd_client_id",
+        type: "text",
+        title: "Real-Debrid OAuth Client ID",
+      },
+      {
+        key: "rd_client_secret",
+        type: "password",
+        title: "Real-Debrid OAuth Client Secret",
+      },
+      {
+        key: "rd_refresh_token",
+        type: "password",
+        title: "Real-Debrid OAuth Refresh Token",
+      },
+    ],
+    material(cfg) {
+      const pick = (k) => String(cfg[k] || "").trim();
+      const m = {
+        clientId: pick("rd_client_id"),
+        clientSecret: pick("rd_client_secret"),
+        refreshToken: pick("rd_refresh_token"),
+      };
+      return m.clientId && m.clientSecret && m.refreshToken ? m : null;
+    },
+    async refresh({ clientId, clientSecret, refreshToken }, request) {
+      const res = await request(
+        `${OAUTH_BASE}/token`,
+        formBody({
+          client_id: clientId,
+          client_secret: clientSecret,
+          code: refreshToken,
+          grant_type: DEVICE_GRANT,
+        })
+      );
+      if (!res.ok) throw oauthErrorFor(res, "token refresh failed");
+      if (!res.json?.access_token)
+        throw new OAuthError("token refresh returned no access_token");
+      return {
+        accessToken: res.json.access_token,
+        expiresIn: Number(res.json.expires_in) || 3600,
+      };
+    },
+  },
+
+  normalize(j) {
+    const username = j?.username || j?.user || null;
+    const premium =
+      j.premium === true || String(j.type || "").toLowerCase() === "premium";
+    let out = { days: null, untilISO: null };
+
+    if (j.expiration) {
+      // `expiration` shows up both as epoch seconds and as an ISO string
+      const expNum = Number(j.expiration);
+      out =
+        Number.isFinite(expNum) && expNum > 1_000_000_000
+          ? daysLeftFromEpochSec(expNum)
+          : daysLeftFromISO(j.expiration);
+    } else if (j.premium_until || j.premiumUntil) {
+      out = daysLeftFromEpochSec(Number(j.premium_until || j.premiumUntil));
+    }
+
+    const usage = usageOf({ points: j.points });
+    if (premium === true) return withUsage(premiumResult(out, username), usage);
+    if (premium === false) return withUsage(freeResult(username), usage);
+    return { ...unknownResult("status unknown"), username };
+  },
+};
+
+export const pRealDebrid = ({ token, fetchImpl }) =>
+  callProvider(realDebrid, { credential: token, fetchImpl });
+
+export default realDebrid;
@@ -0,0 +1,94 @@
+// ----------------------------- TorBox --------------------------------------
+// Matches the documented API shape:
+//   { success, error, detail, data: { is_subscribed, premium_expires_at, ... } }
+import {
+  callProvider,
+  daysLeftFromDurationSec,
+  daysLeftFromISO,
+  premiumResult,
+  freeResult,
+  errorResult,
+  categorizeMessage,
+  usageOf,
+  withUsage,
+} from "./util.js";
+
+// data.plan is numeric
+const PLANS = { 0: "Free", 1: "Essential", 2: "Pro", 3: "Standard" };
+
+const torBox = {
+  id: "torbox",
+  short: "tb",
+  name: "TorBox",
+  credential: {
+    key: "tb_token",
+    env: "TB_TOKEN",
+    noun: "token",
+    title: "TorBox Token (Bearer)",
+  },
+  fields: [],
+  auth: { scheme: "bearer" },
+  endpoint: "https://api.torbox.app/v1/api/user/me?settings=true",
+  urls: {
+    dashboard: "https://torbox.app/settings",
+    renew: "https://torbox.app/subscription",
+  },
+
+  normalize(j) {
+    // TorBox standard response: { success, data, error, message/detail }
+    if (j?.success === false && !j?.data) {
+      const msg = j.error || j.message || j.detail;
+      return errorResult(
+        categorizeMessage(msg),
+        msg || "TorBox: unsuccessful response"
+      );
+    }
+
+    const u = j?.data || j?.user || j;
+    const username = u?.username || u?.email || null;
+    const isSubscribed = u?.is_subscribed === true || u?.isSubscribed === true;
+
+    let out = { days: null, untilISO: null };
+    const usage = usageOf({
+      plan: u?.plan != null ? PLANS[u.plan] ?? `#${u.plan}` : null,
+      downloadedBytes: u?.total_bytes_downloaded,
+    });
+
+    // Primary: ISO8601 expiry (e.g. "2025-04-02T19:13:05Z")
+    const expiryIso =
+      u?.premium_expires_at || u?.premiumExpiresAt || u?.premium_until_iso;
+    if (expiryIso) {
+      out = daysLeftFromISO(expiryIso);
+    } else if (
+      u?.remainingPremiumSeconds ||
+      u?.premium_left ||
+      u?.premiumLeft
+    ) {
+      // Fallback if TorBox ever exposes remaining seconds
+      out = daysLeftFromDurationSec(
+        u.remainingPremiumSeconds || u.premium_left || u.premiumLeft
+      );
+    }
+
+    const hasDays = typeof out.days === "number" && out.days > 0;
+    if (isSubscribed || hasDays)
+      return withUsage(
+        premiumResult(
+          { days: hasDays ? out.days : null, untilISO: out.untilISO },
+          username
+        ),
+        usage
+      );
+
+    // Not subscribed / expired
+    return withUsage(
+      freeResult(username, j.error || j.message || u?.note || "not subscribed"),
+      usage
+    );
+  },
+};
+
+export const pTorBox = ({ token, fetchImpl }) =>
+  callProvider(torBox, { credential: token, fetchImpl });
+
+export default torBox;
@@ -0,0 +1,182 @@
+// ============================================================================
+// Statusio • Provider helpers
+// Shared date math + the generic request runner every provider goes through.
+// ============================================================================
+
+import crypto from "node:crypto";
+import { httpRequest } from "./http.js";
+
+// ----------------------------- Date math -----------------------------------
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const ceilDays = (ms) => Math.max(0, Math.ceil(ms / DAY_MS));
+
+export function daysLeftFromEpochSec(epochSec) {
+  const secs = Number(epochSec || 0);
+  if (!Number.isFinite(secs) || secs <= 0) return { days: 0, untilISO: null };
+  const ms = secs * 1000 - Date.now();
+  if (ms <= 0) return { days: 0, untilISO: null };
+  return { days: ceilDays(ms), untilISO: new Date(secs * 1000).toISOString() };
+}
+
+export function daysLeftFromDurationSec(durationSec) {
+  const secs = Number(durationSec || 0);
+  if (!Number.isFinite(secs) || secs <= 0) return { days: 0, untilISO: null };
+  const ms = secs * 1000;
+  return {
+    days: ceilDays(ms),
+    untilISO: new Date(Date.now() + ms).toISOString(),
+  };
+}
+
+export function daysLeftFromISO(iso) {
+  const d = new Date(iso);
+  if (isNaN(d.getTime())) return { days: null, untilISO: null };
+  const ms = d.getTime() - Date.now();
+  return { days: ms > 0 ? ceilDays(ms) : 0, untilISO: d.toISOString() };
+}
+
+// ----------------------------- Results -------------------------------------
+// Shape every provider returns:
+//   { id, name, premium, daysLeft, untilISO, username, note, error?, usage? }
+// `error` is set when the call failed, to one of ERROR_CATEGORIES; `note`
+// keeps the raw detail (e.g. "HTTP 503") for logs.
+export const ERROR_CATEGORIES = Object.freeze({
+  AUTH: "auth", // invalid / expired / revoked token
+  DOWN: "down", // 5xx, network error, timeout
+  RATE_LIMITED: "rate_limited", // 429 or cooling down after one
+  UNEXPECTED: "unexpected", // malformed JSON, unknown payload shape
+});
+
+export const unknownResult = (note) => ({
+  premium: null,
+  daysLeft: null,
+  untilISO: null,
+  username: null,
+  note,
+});
+
+export const errorResult = (category, note) => ({
+  ...unknownResult(note),
+  error: category,
+});
+
+export function categorizeStatus(status) {
+  if (status === 401 || status === 403) return ERROR_CATEGORIES.AUTH;
+  if (status === 429) return ERROR_CATEGORIES.RATE_LIMITED;
+  if (status >= 500) return ERROR_CATEGORIES.DOWN;
+  return ERROR_CATEGORIES.UNEXPECTED;
+}
+
+// Providers that answer 200 with an error body use codes like "BAD_TOKEN",
+// "AUTH_BAD_APIKEY", "badToken", "Not logged in."
+const AUTH_HINT =
+  /auth|token|apikey|api key|login|logged|unauthori[sz]ed|forbidden/i;
+
+export const categorizeMessage = (msg) =>
+  AUTH_HINT.test(String(msg || ""))
+    ? ERROR_CATEGORIES.AUTH
+    : ERROR_CATEGORIES.UNEXPECTED;
+
+export const premiumResult = ({ days, untilISO }, username) => ({
+  premium: true,
+  daysLeft: days ?? null,
+  untilISO: untilISO ?? null,
+  username,
+});
+
+export const freeResult = (username, note) => ({
+  premium: false,
+  daysLeft: 0,
+  untilISO: null,
+  username,
+  ...(note ? { note } : {}),
+});
+
+// Optional quota numbers a provider reports besides expiry. Known keys:
+//   points, fairUsePct, spaceUsedBytes, spaceLimitBytes, trafficLeftBytes,
+//   downloadedBytes (numbers) and plan (string). Missing values are dropped.
+export function usageOf(fields) {
+  const out = {};
+  for (const [k, v] of Object.entries(fields)) {
+    if (v === null || v === undefined || v === "") continue;
+    if (k === "plan") out.plan = String(v);
+    else if (Number.isFinite(Number(v))) out[k] = Number(v);
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+export const withUsage = (result, usage) =>
+  usage ? { ...result, usage } : result;
+
+// ----------------------------- Runner --------------------------------------
+const USER_AGENT = "Statusio/1.0";
+
+// A 429 backs off only the credential that got it, not the whole provider
+const cooldownKeyFor = (id, credential) =>
+  `${id}:${crypto
+    .createHash("sha256")
+    .update(String(credential))
+    .digest("hex")
+    .slice(0, 16)}`;
+
+const resolve = (v, options) => (typeof v === "function" ? v(options) : v);
+
+// Applies the provider's declared auth scheme to its endpoint:
+//   { scheme: "bearer" }                 -> Authorization: Bearer <cred>
+//   { scheme: "query", param: "apikey" } -> ?apikey=<cred>
+export function buildRequest(provider, credential, options = {}) {
+  const auth = resolve(provider.auth, options) || { scheme: "bearer" };
+  const endpoint = resolve(provider.endpoint, options);
+  const headers = { "User-Agent": USER_AGENT };
+
+  if (auth.scheme === "query") {
+    const u = new URL(endpoint);
+    u.searchParams.set(auth.param || "apikey", credential);
+    return { url: u.toString(), init: { headers } };
+  }
+  headers.Authorization = `Bearer ${credential}`;
+  return { url: endpoint, init: { headers } };
+}
+
+// `http` overrides the shared HTTP layer settings (timeouts/retries, see
+// providers/http.js); fetchImpl is passed straight through to it.
+export async function callProvider(
+  provider,
+  { credential, options = {}, fetchImpl, http = {} } = {}
+) {
+  const { id, name } = provider;
+  const noun = provider.credential?.noun || "token";
+  if (!credential) return { id, name, ...unknownResult(`missing ${noun}`) };
+  const fail = (category, note) => ({
+    id,
+    name,
+    ...errorResult(category, note),
+  });
+  let res;
+  try {
+    const { url, init } = buildRequest(provider, credential, options);
+    res = await httpRequest(url, init, {
+      key: id,
+      cooldownKey: cooldownKeyFor(id, credential),
+      fetchImpl,
+      ...http,
+    });
+  } catch (e) {
+    if (e.code === "RATE_LIMITED")
+      return fail(ERROR_CATEGORIES.RATE_LIMITED, e.message);
+    return fail(ERROR_CATEGORIES.DOWN, `network ${e.message}`);
+  }
+  if (!res.ok) return fail(categorizeStatus(res.status), `HTTP ${res.status}`);
+  let j;
+  try {
+    j = await res.json();
+  } catch (e) {
+    return fail(ERROR_CATEGORIES.UNEXPECTED, `malformed JSON: ${e.message}`);
+  }
+  try {
+    return { id, name, ...provider.normalize(j, options) };
+  } catch (e) {
+    return fail(ERROR_CATEGORIES.UNEXPECTED, `bad response: ${e.message}`);
+  }
+}
@@ -0,0 +1,92 @@
+// iCalendar feed: events, alarms, escaping and line folding
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calendarText, resolveAlarmDays } from "../lib/calendar.js";
+import { DEFAULT_THRESHOLDS } from "../lib/thresholds.js";
+import { matchSnapshot } from "./helpers.js";
+
+const NOW = Date.parse("2026-10-19T08:30:00.000Z");
+const base = { thresholds: DEFAULT_THRESHOLDS };
+const RESULTS = [
+  {
+    ...base,
+    id: "realdebrid",
+    name: "Real-Debrid",
+    displayName: "Real-Debrid (Mom)",
+    premium: true,
+    daysLeft: 60,
+    untilISO: "2026-12-18T14:00:00.000Z",
+    username: "rduser",
+    renewUrl: "https://real-debrid.com/premium",
+  },
+  {
+    ...base,
+    id: "realdebrid",
+    name: "Real-Debrid",
+    displayName: "Real-Debrid (Dad)",
+    premium: true,
+    daysLeft: 5,
+    untilISO: "2026-10-24T00:00:00.000Z",
+    username: "dad",
+    thresholds: { warn: 7, crit: 2 },
+  },
+  {
+    ...base,
+    id: "torbox",
+    name: "TorBox",
+    premium: false,
+    daysLeft: 0,
+    untilISO: null,
+    username: "tb@example.com",
+  },
+  {
+    ...base,
+    id: "putio",
+    name: "Put.io",
+    premium: null,
+    error: "auth",
+  },
+];
+
+const eventCount = (ics) => ics.match(/BEGIN:VEVENT/g)?.length || 0;
+
+test("one all-day event per premium account", () => {
+  const ics = calendarText(RESULTS, { now: NOW });
+  assert.equal(eventCount(ics), 2);
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  assert.ok(!/[^\r]\n/.test(ics), "CRLF line endings only");
+  matchSnapshot("calendar", ics.replace(/\r\n$/, "").replace(/\r/g, ""));
+});
+
+test("alarms follow each account's thresholds unless configured", () => {
+  assert.deepEqual(resolveAlarmDays({}), [14, 3]);
+  assert.deepEqual(resolveAlarmDays({}, { warn: 7, crit: 2 }), [7, 2]);
+  const listed = resolveAlarmDays({ calendar_alarms: "1, 30,x,1" });
+  assert.deepEqual(listed, [30, 1]);
+  assert.deepEqual(resolveAlarmDays({ calendar_alarms: "off" }), []);
+
+  const cfg = { calendar_alarms: "off" };
+  const ics = calendarText(RESULTS, { now: NOW, cfg });
+  assert.doesNotMatch(ics, /VALARM/);
+});
+
+test("UIDs are stable across renewals and differ per account", () => {
+  const uids = (ics) => ics.match(/^UID:.*$/gm);
+  const before = uids(calendarText(RESULTS, { now: NOW }));
+  const renewed = [{ ...RESULTS[0], untilISO: "2027-01-17T00:00:00.000Z" }];
+  assert.equal(uids(calendarText(renewed, { now: NOW }))[0], before[0]);
+  assert.notEqual(before[0], before[1]);
+});
+
+test("text is escaped and long lines are folded at 75 octets", () => {
+  const odd = {
+    ...RESULTS[0],
+    displayName:
+      "Debrid; with, commas — and a very long nickname ünïcödé ✨✨✨",
+  };
+  const ics = calendarText([odd], { now: NOW, lang: "de" });
+  for (const line of ics.split("\r\n"))
+    assert.ok(Buffer.byteLength(line) <= 75, line);
+  const unfolded = ics.replace(/\r\n /g, "");
+  assert.match(unfolded, /SUMMARY:Debrid\\; with\\, commas .* läuft ab\r\n/);
+});
@@ -0,0 +1,201 @@
+// Card text snapshots: templates, languages, error cards and summary mode;
+// quote packs
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import {
+  formatProviderStatusWithBreaks,
+  formatErrorCard,
+  formatSummary,
+} from "../lib/format.js";
+import {
+  TEMPLATE_PRESETS,
+  ERROR_TEMPLATES,
+  resolveTemplate,
+} from "../lib/card.js";
+import { DEFAULT_THRESHOLDS } from "../lib/thresholds.js";
+import { resolveQuotes, builtinQuotes } from "../lib/quotes.js";
+import { matchSnapshot, responseFrom } from "./helpers.js";
+
+// One fixed quote per band keeps the snapshots stable
+const QUOTES = {
+  ok: ["Quote for OK"],
+  warn: ["Quote for Warning"],
+  crit: ["Quote for Critical"],
+  expired: ["Quote for Expired"],
+};
+
+const base = { thresholds: DEFAULT_THRESHOLDS };
+const RESULTS = [
+  {
+    ...base,
+    id: "realdebrid",
+    name: "Real-Debrid",
+    premium: true,
+    daysLeft: 60,
+    untilISO: "2099-03-02T00:00:00.000Z",
+    username: "rduser",
+    usage: { points: 1200 },
+  },
+  {
+    ...base,
+    id: "alldebrid",
+    name: "AllDebrid",
+    displayName: "AllDebrid (Mom)",
+    premium: true,
+    daysLeft: 10,
+    untilISO: "2099-01-11T00:00:00.000Z",
+    username: "aduser",
+  },
+  {
+    ...base,
+    id: "premiumize",
+    name: "Premiumize",
+    premium: true,
+    daysLeft: 2,
+    untilISO: "2099-01-03T00:00:00.000Z",
+    username: "987654321",
+    usage: { fairUsePct: 42, spaceUsedBytes: 312e9 },
+  },
+  {
+    ...base,
+    id: "torbox",
+    name: "TorBox",
+    premium: false,
+    daysLeft: 0,
+    untilISO: null,
+    username: "tb@example.com",
+  },
+];
+const FAILED = {
+  ...base,
+  id: "putio",
+  name: "Put.io",
+  premium: null,
+  daysLeft: null,
+  untilISO: null,
+  username: null,
+  error: "auth",
+  note: "HTTP 401",
+};
+
+const cards = (opts) =>
+  RESULTS.map((r) => formatProviderStatusWithBreaks(r, opts)).join("\n---\n");
+
+for (const preset of Object.keys(TEMPLATE_PRESETS))
+  test(`${preset} template`, () => {
+    const template = TEMPLATE_PRESETS[preset];
+    matchSnapshot(`card-${preset}`, cards({ template, quotes: QUOTES }));
+  });
+
+test("usage lines (show_usage=on)", () => {
+  matchSnapshot("card-usage", cards({ quotes: null, usage: true }));
+});
+
+for (const lang of ["de", "pt-BR", "fr"])
+  test(`full template in ${lang}`, () => {
+    matchSnapshot(`card-full-${lang}`, cards({ lang, quotes: null }));
+  });
+
+test("custom template, unknown placeholders kept, empty lines dropped", () => {
+  const template = resolveTemplate({
+    card_template: "custom",
+    card_template_custom:
+      "{emoji} {service}\\n{days} / {expires}\\n💬 {quote}\\n{nope}",
+  });
+  matchSnapshot("card-custom", cards({ template, quotes: null }));
+});
+
+test("stale result shows the last-checked line", () => {
+  const stale = {
+    ...RESULTS[0],
+    stale: true,
+    fetchedAt: Date.now() - 2 * 60 * 60 * 1000,
+  };
+  const text = formatProviderStatusWithBreaks(stale, { quotes: null });
+  assert.match(text, /🕒 Last checked 2h ago$/);
+});
+
+for (const preset of Object.keys(ERROR_TEMPLATES))
+  test(`${preset} error card`, () => {
+    const errorTemplate = ERROR_TEMPLATES[preset];
+    const text = formatErrorCard(FAILED, { errorTemplate });
+    matchSnapshot(`error-${preset}`, text);
+  });
+
+test("summary card sorts by soonest expiry, failures last", () => {
+  const { text, worst } = formatSummary([...RESULTS, FAILED], {
+    quotes: QUOTES,
+  });
+  assert.equal(worst.id, "torbox");
+  matchSnapshot("summary", text);
+});
+
+test("summary with only failures", () => {
+  const { text, worst } = formatSummary([FAILED], { quotes: QUOTES });
+  assert.equal(worst.id, "putio");
+  matchSnapshot("summary-failed", text);
+});
+
+test("quote pack URL that never answers falls back to built-ins", async () => {
+  const hanging = () => new Promise(() => {});
+  const cfg = { quote_pack_url: "https://packs.example/hang.json" };
+  const quotes = await resolveQuotes(cfg, "en", hanging);
+  assert.deepEqual(quotes, builtinQuotes("en"));
+});
+
+test("simultaneous requests share one quote pack download", async () => {
+  let calls = 0;
+  const fetchImpl = async () => {
+    calls++;
+    return responseFrom({ body: { ok: ["Shared pack"] } });
+  };
+  const cfg = { quote_pack_url: "https://packs.example/shared.json" };
+  const all = await Promise.all(
+    [1, 2, 3].map(() => resolveQuotes(cfg, "en", fetchImpl))
+  );
+  assert.equal(calls, 1);
+  for (const q of all) assert.deepEqual(q.ok, ["Shared pack"]);
+});
+
+test("install pack URLs can't reach private addresses", async () => {
+  let requests = 0;
+  const server = http.createServer((_req, res) => {
+    requests++;
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ ok: ["Internal pack"] }));
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  after(() => server.close());
+  const { port } = server.address();
+
+  let fetched = 0;
+  const counting = async () => {
+    fetched++;
+    return responseFrom({ body: { ok: ["Internal pack"] } });
+  };
+  for (const url of [
+    `http://127.0.0.1:${port}/pack.json`,
+    "http://[::ffff:127.0.0.1]/pack.json",
+    "http://169.254.169.254/latest/meta-data",
+    "http://10.0.0.5/pack.json",
+  ]) {
+    const quotes = await resolveQuotes({ quote_pack_url: url }, "en", counting);
+    assert.deepEqual(quotes, builtinQuotes("en"), url);
+  }
+  assert.equal(fetched, 0);
+
+  // a name resolving to loopback is refused when connecting
+  const byName = { quote_pack_url: `http://localhost:${port}/pack.json` };
+  assert.deepEqual(await resolveQuotes(byName, "en"), builtinQuotes("en"));
+  assert.equal(requests, 0);
+
+  // the operator's QUOTE_PACK is trusted
+  process.env.QUOTE_PACK = `http://127.0.0.1:${port}/env-pack.json`;
+  try {
+    const quotes = await resolveQuotes({}, "en");
+    assert.deepEqual(quotes.ok, ["Internal pack"]);
+  } finally {
+    delete process.env.QUOTE_PACK;
+  }
+});
@@ -0,0 +1,79 @@
+// ============================================================================
+// Statusio • Test helpers
+// Recorded provider responses (test/fixtures/<provider>/<case>.json holding
+// { status, body } or { status, text }), a fetch stand-in that replays them,
+// and plain-text snapshots (test/snapshots/<name>.txt). Run with
+// UPDATE_SNAPSHOTS=1 to write new snapshots or rewrite them after an
+// intended card change; a missing snapshot fails otherwise.
+// ============================================================================
+
+import fs from "node:fs";
+import path from "node:path";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES = path.join(HERE, "fixtures");
+const SNAPSHOTS = path.join(HERE, "snapshots");
+
+export const listFixtures = (provider) =>
+  fs
+    .readdirSync(path.join(FIXTURES, provider))
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => f.slice(0, -5))
+    .sort();
+
+export function loadFixture(provider, name) {
+  const file = path.join(FIXTURES, provider, `${name}.json`);
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+export function responseFrom({ status = 200, body, text }) {
+  const payload = text ?? JSON.stringify(body);
+  return new Response(payload, {
+    status,
+    headers: { "Content-Type": text ? "text/html" : "application/json" },
+  });
+}
+
+// fetchImpl that answers every request with one fixture; `calls` records
+// the URLs and init objects it was given.
+export function fixtureFetch(provider, name) {
+  const fixture = loadFixture(provider, name);
+  const calls = [];
+  const fetchImpl = async (url, init = {}) => {
+    calls.push({ url: String(url), init });
+    return responseFrom(fixture);
+  };
+  return Object.assign(fetchImpl, { calls });
+}
+
+// fetchImpl routing by URL substring: { "real-debrid.com": fixture | fn }
+export function routedFetch(routes) {
+  const calls = [];
+  const fetchImpl = async (url, init = {}) => {
+    calls.push({ url: String(url), init });
+    for (const [needle, reply] of Object.entries(routes))
+      if (String(url).includes(needle))
+        return typeof reply === "function"
+          ? reply(String(url), init)
+          : responseFrom(reply);
+    throw new Error(`unexpected request to ${url}`);
+  };
+  return Object.assign(fetchImpl, { calls });
+}
+
+export function matchSnapshot(name, actual) {
+  const file = path.join(SNAPSHOTS, `${name}.txt`);
+  const text = `${actual}\n`;
+  if (process.env.UPDATE_SNAPSHOTS) {
+    fs.mkdirSync(SNAPSHOTS, { recursive: true });
+    fs.writeFileSync(file, text);
+    return;
+  }
+  assert.ok(
+    fs.existsSync(file),
+    `snapshot ${name} missing, run UPDATE_SNAPSHOTS=1 npm test`
+  );
+  assert.equal(text, fs.readFileSync(file, "utf8"), `snapshot ${name}`);
+}
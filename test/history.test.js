@@ -0,0 +1,117 @@
+// Expiry history: renewal/lapse detection and the on-disk store
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createHistory, recentRenewal } from "../lib/history.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const T0 = Date.parse("2026-09-01T00:00:00.000Z");
+const at = (d) => T0 + d * DAY;
+const until = (d) => new Date(at(d)).toISOString();
+
+const premium = (d) => ({
+  id: "realdebrid",
+  premium: true,
+  untilISO: until(d),
+  username: "rduser",
+});
+const expired = {
+  id: "realdebrid",
+  premium: false,
+  untilISO: null,
+  username: "rduser",
+};
+
+test("expiry jumping forward is a renewal; jitter is not", () => {
+  const h = createHistory();
+  const key = h.keyFor("realdebrid", "tok");
+  assert.equal(h.record(key, premium(10), at(0)).events.length, 0);
+  // provider rounding the same expiry differently
+  const jitter = {
+    ...premium(10),
+    untilISO: new Date(at(10) + 60e3).toISOString(),
+  };
+  assert.equal(h.record(key, jitter, at(1)).events.length, 0);
+
+  const view = h.record(key, premium(40), at(2));
+  assert.equal(view.events.length, 1);
+  assert.deepEqual(view.lastRenewal, {
+    type: "renewed",
+    at: until(2),
+    from: jitter.untilISO,
+    to: until(40),
+    addedDays: 30,
+    lapsedDays: null,
+  });
+  assert.equal(view.points.length, 3);
+});
+
+test("lapse, then renewal after the lapse", () => {
+  const h = createHistory();
+  const key = h.keyFor("realdebrid", "tok");
+  h.record(key, premium(5), at(0));
+  const lapsed = h.record(key, expired, at(8));
+  assert.deepEqual(lapsed.lastLapse, {
+    type: "lapsed",
+    at: until(5),
+    from: until(5),
+  });
+  // still expired: nothing new
+  assert.equal(h.record(key, expired, at(9)).events.length, 1);
+
+  const back = h.record(key, premium(42), at(12));
+  assert.equal(back.lastRenewal.from, null);
+  assert.equal(back.lastRenewal.addedDays, 30);
+  assert.equal(back.lastRenewal.lapsedDays, 7);
+});
+
+test("errors and stale results are not recorded", () => {
+  const h = createHistory();
+  const key = h.keyFor("realdebrid", "tok");
+  const failed = { id: "realdebrid", premium: null, error: "auth" };
+  assert.equal(h.record(key, failed), null);
+  h.record(key, premium(10), at(0));
+  const stale = { ...premium(50), stale: true };
+  assert.equal(h.record(key, stale, at(1)).points.length, 1);
+});
+
+test("accounts are keyed per credential and bounded", () => {
+  const h = createHistory({ maxAccounts: 2 });
+  assert.notEqual(h.keyFor("realdebrid", "a"), h.keyFor("realdebrid", "b"));
+  assert.notEqual(h.keyFor("realdebrid", "a"), h.keyFor("torbox", "a"));
+  for (const tok of ["a", "b", "c"])
+    h.record(h.keyFor("realdebrid", tok), premium(10), at(0));
+  assert.equal(h.stats().accounts, 2);
+  assert.equal(h.get(h.keyFor("realdebrid", "a")), null);
+});
+
+test("history survives a restart via the file; no tokens in it", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "statusio-"));
+  const file = path.join(dir, "history.json");
+  try {
+    const h1 = createHistory({ file });
+    const key = h1.keyFor("realdebrid", "secret-token");
+    h1.record(key, premium(10), at(0));
+    h1.record(key, premium(40), at(1));
+    h1.flush();
+    assert.doesNotMatch(fs.readFileSync(file, "utf8"), /secret-token/);
+
+    const h2 = createHistory({ file });
+    assert.equal(h2.keyFor("realdebrid", "secret-token"), key);
+    assert.equal(h2.get(key).lastRenewal.addedDays, 30);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("recentRenewal only within the window", () => {
+  const h = createHistory();
+  const key = h.keyFor("realdebrid", "tok");
+  h.record(key, premium(10), at(0));
+  const view = h.record(key, premium(40), at(1));
+  assert.ok(recentRenewal(view, 14, at(10)));
+  assert.equal(recentRenewal(view, 14, at(20)), null);
+  assert.equal(recentRenewal(null, 14), null);
+});
@@ -0,0 +1,61 @@
+// Provider HTTP layer: 429 cooldowns per credential, deadline on the body
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { callProvider } from "../providers/util.js";
+import { responseFrom } from "./helpers.js";
+
+const fakeProvider = (endpoint) => ({
+  id: "fake",
+  name: "Fake",
+  endpoint,
+  normalize: (j) => ({ premium: true, daysLeft: 1, username: j.user }),
+});
+
+test("a 429 cools down only that token, and not for hours", async () => {
+  const provider = fakeProvider("https://api.fake.test/user");
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    const token = init.headers.Authorization.slice("Bearer ".length);
+    calls.push(token);
+    return token === "A"
+      ? new Response("", { status: 429, headers: { "Retry-After": "7200" } })
+      : responseFrom({ body: { user: token } });
+  };
+  const call = (credential) =>
+    callProvider(provider, { credential, fetchImpl, http: { retries: 0 } });
+
+  assert.equal((await call("A")).error, "rate_limited");
+  const b = await call("B");
+  assert.equal(b.username, "B");
+
+  const again = await call("A");
+  assert.equal(again.error, "rate_limited");
+  assert.deepEqual(calls, ["A", "B"], "A is not retried while cooling down");
+  const secs = Number(again.note.match(/retry in (\d+)s/)[1]);
+  assert.ok(secs <= 300, `cooldown capped, got ${secs}s`);
+});
+
+test("a body that stalls after the headers times out", async () => {
+  const sockets = new Set();
+  const server = http.createServer((_req, res) => {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.write("{");
+  });
+  server.on("connection", (s) => sockets.add(s));
+  after(() => {
+    for (const s of sockets) s.destroy();
+    server.close();
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const { port } = server.address();
+
+  const started = Date.now();
+  const r = await callProvider(fakeProvider(`http://127.0.0.1:${port}/`), {
+    credential: "tok",
+    http: { timeoutMs: 300, retries: 0 },
+  });
+  assert.equal(r.error, "down");
+  assert.match(r.note, /timeout/);
+  assert.ok(Date.now() - started < 2000);
+});
@@ -0,0 +1,115 @@
+// Expiry notifications against a local stand-in webhook receiver
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import crypto from "node:crypto";
+import { runNotifyCheck } from "../lib/notify.js";
+import { listProviders } from "../providers/index.js";
+import { routedFetch } from "./helpers.js";
+
+for (const p of listProviders()) delete process.env[p.credential.env];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Receiver that records every JSON body; `status` sets its next answer
+const received = [];
+let status = 200;
+const receiver = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (c) => (body += c));
+  req.on("end", () => {
+    received.push(JSON.parse(body));
+    res.writeHead(status).end();
+  });
+});
+await new Promise((r) => receiver.listen(0, "127.0.0.1", r));
+after(() => receiver.close());
+const channels = [
+  {
+    type: "webhook",
+    url: `http://127.0.0.1:${receiver.address().port}/hook`,
+  },
+];
+
+// Real-Debrid answering with a fixed expiry (or failing)
+const expiringIn = (days) => ({
+  expiration: new Date(Date.now() + days * DAY).toISOString(),
+});
+let rd = expiringIn(5);
+const fetchImpl = routedFetch({
+  "api.real-debrid.com": () =>
+    rd.fail
+      ? new Response("", { status: 503 })
+      : Response.json({
+          username: "rduser",
+          type: "premium",
+          expiration: rd.expiration,
+        }),
+  "127.0.0.1": (url, init) => fetch(url, init),
+});
+
+const check = (state, salt) =>
+  runNotifyCheck({
+    cfg: { rd_token: "tok" },
+    channels,
+    state,
+    salt,
+    fetchImpl,
+  });
+
+test("alerts once per band and expiry, re-armed by a renewal", async () => {
+  received.length = 0;
+  rd = expiringIn(5);
+  const { state, sent } = await check({});
+  assert.equal(sent.length, 1);
+  assert.equal(received.length, 1);
+  assert.equal(received[0].event, "statusio.expiry");
+  assert.equal(received[0].band, "warn");
+  assert.equal(received[0].daysLeft, 5);
+
+  // same band, same expiry: nothing new
+  assert.equal((await check(state)).sent.length, 0);
+  assert.equal(received.length, 1);
+
+  // renewed, then close to expiry again on the new date
+  rd = expiringIn(40);
+  await check(state);
+  rd = expiringIn(4);
+  assert.equal((await check(state)).sent.length, 1);
+  assert.equal(received.length, 2);
+});
+
+test("failed provider calls never alert", async () => {
+  received.length = 0;
+  rd = { fail: true };
+  const { sent, state } = await check({});
+  assert.equal(sent.length, 0);
+  assert.deepEqual(state, {});
+  assert.equal(received.length, 0);
+});
+
+test("a receiver error is not retried and the alert stays armed", async () => {
+  received.length = 0;
+  rd = expiringIn(2);
+  status = 500;
+  const { sent, state } = await check({});
+  assert.equal(sent.length, 0);
+  assert.equal(received.length, 1, "posted once, no retry");
+
+  status = 200;
+  assert.equal((await check(state)).sent.length, 1);
+});
+
+test("alert state keys are salted, not token fingerprints", async () => {
+  rd = expiringIn(5);
+  const [one] = Object.keys((await check({}, "salt-1")).state);
+  const [two] = Object.keys((await check({}, "salt-2")).state);
+  assert.notEqual(one, two);
+  const plain = crypto
+    .createHash("sha256")
+    .update("realdebrid\ntok")
+    .digest("hex")
+    .slice(0, 32);
+  assert.notEqual(one, plain);
+  assert.doesNotMatch(one, /tok/);
+});
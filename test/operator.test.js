@@ -0,0 +1,147 @@
+// Operator mode: ENV fallback only for local requests, access key, rate
+// limits and the admin page
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { createStatusio } from "../lib/addon.js";
+import { createServer } from "../lib/server.js";
+import { createSealer } from "../lib/sealed.js";
+import { resolveOperator } from "../lib/operator.js";
+import { listProviders } from "../providers/index.js";
+import { loadFixture, routedFetch } from "./helpers.js";
+
+for (const p of listProviders()) delete process.env[p.credential.env];
+process.env.RD_TOKEN = "operator-env-token";
+after(() => delete process.env.RD_TOKEN);
+
+const OPERATOR = {
+  enabled: true,
+  accessKeys: [],
+  ratePerMin: 0,
+  adminKey: null,
+  trustProxy: false,
+};
+
+const servers = [];
+after(() =>
+  Promise.all(servers.map((s) => new Promise((r) => s.close(r))))
+);
+
+async function start(operator) {
+  const fetchImpl = routedFetch({
+    "api.real-debrid.com": loadFixture("realdebrid", "premium_iso"),
+  });
+  const statusio = createStatusio({ fetchImpl });
+  const app = createServer(statusio, {
+    sealer: createSealer(""),
+    operator: { ...OPERATOR, ...operator },
+  });
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  servers.push(server);
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+// Behind a proxy, the request is remote even from the loopback address
+const REMOTE = { "X-Forwarded-For": "203.0.113.7" };
+const seg = (cfg) => encodeURIComponent(JSON.stringify(cfg));
+const status = async (url, headers = {}) =>
+  (await fetch(url, { headers })).json();
+
+test("settings come from ENV", () => {
+  assert.equal(resolveOperator({}).enabled, false);
+  const op = resolveOperator({
+    OPERATOR_MODE: "on",
+    ACCESS_KEY: "a, b",
+    RATE_LIMIT_PER_MIN: "0",
+    ADMIN_KEY: "adm",
+    TRUST_PROXY: "1",
+  });
+  assert.deepEqual(op, {
+    enabled: true,
+    accessKeys: ["a", "b"],
+    ratePerMin: 0,
+    adminKey: "adm",
+    trustProxy: 1,
+  });
+  assert.equal(resolveOperator({ OPERATOR_MODE: "on" }).ratePerMin, 60);
+});
+
+test("ENV tokens only serve local requests", async () => {
+  const base = await start();
+  const local = await status(`${base}/api/status`);
+  assert.equal(local.results.length, 1);
+
+  const remote = await status(`${base}/api/status`, REMOTE);
+  assert.deepEqual(remote.results, []);
+  const stream = await status(`${base}/stream/movie/tt1.json`, REMOTE);
+  assert.deepEqual(stream.streams, []);
+
+  // a remote visitor's own token still works
+  const own = seg({ rd_token: "visitor" });
+  const mine = await status(`${base}/${own}/api/status`, REMOTE);
+  assert.equal(mine.results.length, 1);
+});
+
+test("access key guards data routes, not setup", async () => {
+  const base = await start({ accessKeys: ["k1", "k2"] });
+  const cfg = { rd_token: "visitor" };
+
+  const denied = await fetch(`${base}/${seg(cfg)}/stream/movie/tt1.json`);
+  assert.equal(denied.status, 401);
+  const wrong = seg({ ...cfg, access_key: "nope" });
+  assert.equal((await fetch(`${base}/${wrong}/api/status`)).status, 401);
+
+  const keyed = seg({ ...cfg, access_key: "k2" });
+  const ok = await fetch(`${base}/${keyed}/stream/movie/tt1.json`);
+  assert.equal(ok.status, 200);
+  const header = await fetch(`${base}/api/status`, {
+    headers: { "X-Access-Key": "k1" },
+  });
+  assert.equal(header.status, 200);
+
+  for (const path of ["/manifest.json", "/configure", "/health"])
+    assert.equal((await fetch(base + path)).status, 200, path);
+  const test = await fetch(`${base}/configure/test`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ provider: "realdebrid", config: cfg }),
+  });
+  assert.equal(test.status, 401);
+});
+
+test("clients over the rate limit get 429", async () => {
+  const base = await start({ ratePerMin: 3 });
+  const codes = [];
+  for (let i = 0; i < 4; i++)
+    codes.push((await fetch(`${base}/manifest.json`)).status);
+  assert.deepEqual(codes, [200, 200, 200, 429]);
+  const limited = await fetch(`${base}/manifest.json`);
+  assert.ok(Number(limited.headers.get("retry-after")) >= 1);
+  assert.equal((await fetch(`${base}/health`)).status, 200);
+});
+
+test("admin page: key required, counts only", async () => {
+  const closed = await start();
+  assert.equal((await fetch(`${closed}/admin`)).status, 404);
+
+  const base = await start({ adminKey: "adm" });
+  const cfg = seg({ rd_token: "secret-visitor-token" });
+  await fetch(`${base}/${cfg}/stream/movie/tt1.json`, { headers: REMOTE });
+  await fetch(`${base}/${cfg}/catalog/other/statusio-accounts.json`);
+
+  assert.equal((await fetch(`${base}/admin/status.json`)).status, 401);
+  const res = await fetch(`${base}/admin/status.json`, {
+    headers: { Authorization: "Bearer adm" },
+  });
+  const body = await res.text();
+  assert.doesNotMatch(body, /secret-visitor-token|203\.0\.113\.7/);
+  const { usage } = JSON.parse(body);
+  assert.equal(usage.requests.stream, 1);
+  assert.equal(usage.requests.catalog, 1);
+  assert.equal(usage.installs24h, 1);
+  assert.equal(usage.installsByProvider24h.realdebrid, 1);
+
+  const page = await fetch(`${base}/admin?key=adm`);
+  assert.match(await page.text(), /Installs per provider/);
+});
@@ -0,0 +1,225 @@
+// Provider parsers against recorded API responses (no network)
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import {
+  pRealDebrid,
+  pAllDebrid,
+  pPremiumize,
+  pTorBox,
+  pDebridLink,
+  pEasyDebrid,
+  pOffcloud,
+  pPutio,
+  listProviders,
+  parseAccountList,
+} from "../providers/index.js";
+import { accessTokenFor } from "../providers/oauth.js";
+import { fixtureFetch, listFixtures } from "./helpers.js";
+
+const FAR = "2099-01-01T00:00:00.000Z";
+
+// provider id -> [wrapper call, { fixture: expected subset }]
+const CASES = {
+  realdebrid: [
+    (fetchImpl) => pRealDebrid({ token: "tok", fetchImpl }),
+    {
+      premium_iso: {
+        premium: true,
+        username: "rduser",
+        untilISO: FAR,
+        usage: { points: 1200 },
+      },
+      premium_epoch: { premium: true, username: "rduser", untilISO: FAR },
+      expired: { premium: false, daysLeft: 0, username: "rduser" },
+      unauthorized: { error: "auth", note: "HTTP 401" },
+      malformed: { error: "unexpected" },
+    },
+  ],
+  alldebrid: [
+    (fetchImpl) => pAllDebrid({ key: "key", fetchImpl }),
+    {
+      premium: {
+        premium: true,
+        username: "aduser",
+        untilISO: FAR,
+        usage: { points: 340 },
+      },
+      expired: { premium: false, daysLeft: 0, username: "aduser" },
+      bad_apikey: { error: "auth", note: "AUTH_BAD_APIKEY" },
+      unauthorized: { error: "auth" },
+      malformed: { error: "unexpected" },
+    },
+  ],
+  premiumize: [
+    (fetchImpl) => pPremiumize({ key: "key", fetchImpl }),
+    {
+      premium: {
+        premium: true,
+        username: "987654321",
+        untilISO: FAR,
+        usage: { fairUsePct: 42, spaceUsedBytes: 312e9 },
+      },
+      expired: { premium: false, daysLeft: 0 },
+      error_status: { error: "auth" },
+      unauthorized: { error: "auth" },
+      malformed: { error: "unexpected" },
+    },
+  ],
+  torbox: [
+    (fetchImpl) => pTorBox({ token: "tok", fetchImpl }),
+    {
+      premium: {
+        premium: true,
+        username: "tb@example.com",
+        untilISO: "2099-01-01T00:00:00.000Z",
+        usage: { plan: "Pro", downloadedBytes: 2.4e12 },
+      },
+      not_subscribed: { premium: false, daysLeft: 0 },
+      success_false: { error: "auth", note: "BAD_TOKEN" },
+      unauthorized: { error: "auth" },
+      malformed: { error: "unexpected" },
+    },
+  ],
+  debridlink: [
+    (fetchImpl) => pDebridLink({ key: "key", fetchImpl }),
+    {
+      premium: { premium: true, username: "dluser", daysLeft: 30 },
+      free: { premium: false, username: "dluser", note: "accountType=0" },
+      bad_token: { error: "auth", note: "badToken" },
+      unauthorized: { error: "auth" },
+      malformed: { error: "unexpected" },
+    },
+  ],
+  easydebrid: [
+    (fetchImpl) => pEasyDebrid({ token: "tok", fetchImpl }),
+    {
+      premium: { premium: true, username: "ed-5521", untilISO: FAR },
+      expired: { premium: false, daysLeft: 0, username: "ed-5521" },
+      unauthorized: { error: "auth" },
+      malformed: { error: "unexpected" },
+    },
+  ],
+  offcloud: [
+    (fetchImpl) => pOffcloud({ key: "key", fetchImpl }),
+    {
+      premium: { premium: true, username: "oc@example.com", untilISO: FAR },
+      premium_epoch_ms: { premium: true, untilISO: FAR },
+      free: { premium: false, username: "oc@example.com" },
+      unauthorized: { error: "auth" },
+      malformed: { error: "unexpected" },
+    },
+  ],
+  putio: [
+    (fetchImpl) => pPutio({ token: "tok", fetchImpl }),
+    {
+      premium: {
+        premium: true,
+        username: "piuser",
+        untilISO: FAR,
+        usage: { spaceUsedBytes: 5e9, spaceLimitBytes: 1e11 },
+      },
+      expired: { premium: false, username: "piuser" },
+      unauthorized: { error: "auth" },
+      malformed: { error: "unexpected" },
+    },
+  ],
+};
+
+test("every registered provider has fixture cases", () => {
+  for (const p of listProviders()) {
+    assert.ok(CASES[p.id], `no cases for ${p.id}`);
+    const covered = Object.keys(CASES[p.id][1]).sort();
+    assert.deepEqual(covered, listFixtures(p.id), `${p.id} fixtures`);
+  }
+});
+
+for (const [id, [call, cases]] of Object.entries(CASES)) {
+  describe(id, () => {
+    for (const [name, expected] of Object.entries(cases)) {
+      test(name, async () => {
+        const r = await call(fixtureFetch(id, name));
+        assert.equal(r.id, id);
+        for (const [k, v] of Object.entries(expected))
+          if (k === "note") assert.match(r.note, new RegExp(v));
+          else assert.deepEqual(r[k], v, `${name}: ${k}`);
+        if (expected.premium === true) assert.ok(r.daysLeft > 0);
+        if (expected.error) assert.equal(r.premium, null);
+        else assert.equal(r.error, undefined);
+      });
+    }
+  });
+}
+
+test("missing credential never hits the network", async () => {
+  const fetchImpl = fixtureFetch("realdebrid", "premium_iso");
+  const r = await pRealDebrid({ token: "", fetchImpl });
+  assert.equal(r.premium, null);
+  assert.match(r.note, /missing token/);
+  assert.equal(fetchImpl.calls.length, 0);
+});
+
+test("auth schemes: bearer header vs query parameter", async () => {
+  const rd = fixtureFetch("realdebrid", "premium_iso");
+  await pRealDebrid({ token: "abc", fetchImpl: rd });
+  assert.equal(rd.calls[0].init.headers.Authorization, "Bearer abc");
+
+  const oc = fixtureFetch("offcloud", "premium");
+  await pOffcloud({ key: "k1", fetchImpl: oc });
+  assert.equal(new URL(oc.calls[0].url).searchParams.get("key"), "k1");
+
+  const pm = fixtureFetch("premiumize", "premium");
+  await pPremiumize({ key: "t1", useOAuth: true, fetchImpl: pm });
+  assert.equal(
+    new URL(pm.calls[0].url).searchParams.get("access_token"),
+    "t1"
+  );
+
+  const dl = fixtureFetch("debridlink", "premium");
+  await pDebridLink({ key: "d1", authScheme: "query", fetchImpl: dl });
+  assert.equal(new URL(dl.calls[0].url).searchParams.get("apikey"), "d1");
+});
+
+test("account lists: nicknames, but tokens with a colon stay whole", () => {
+  const parse = (v) =>
+    parseAccountList(v).map((a) => [a.nickname, a.credential]);
+  assert.deepEqual(parse("Mom: abc, Dad :def, My Kid:ghi"), [
+    ["Mom", "abc"],
+    ["Dad", "def"],
+    ["My Kid", "ghi"],
+  ]);
+  assert.deepEqual(parse("Mom (RD):abc"), [["Mom (RD)", "abc"]]);
+  assert.deepEqual(parse("user123:s3cr3t"), [[null, "user123:s3cr3t"]]);
+  assert.deepEqual(parse("a:b:c"), [[null, "a:b:c"]]);
+  assert.deepEqual(parse([{ token: "x:y", name: "Mom" }, "z"]), [
+    ["Mom", "x:y"],
+    [null, "z"],
+  ]);
+});
+
+test("OAuth access tokens are cached until a refresh fails", async () => {
+  let refreshes = 0;
+  let fail = false;
+  const provider = {
+    id: "fakeoauth",
+    oauth: {
+      refresh: async () => {
+        refreshes++;
+        if (fail) throw new Error("refresh rejected");
+        return { accessToken: `at${refreshes}`, expiresIn: 3600 };
+      },
+    },
+  };
+  const material = { refreshToken: "r1" };
+  assert.equal(await accessTokenFor(provider, material), "at1");
+  assert.equal(await accessTokenFor(provider, material), "at1");
+  assert.equal(refreshes, 1);
+
+  // other material, other token
+  assert.equal(await accessTokenFor(provider, { refreshToken: "r2" }), "at2");
+
+  fail = true;
+  const stale = { refreshToken: "r3" };
+  await assert.rejects(accessTokenFor(provider, stale), /refresh rejected/);
+  await assert.rejects(accessTokenFor(provider, stale), /refresh rejected/);
+  assert.equal(refreshes, 4, "a failed refresh is not cached");
+});
@@ -0,0 +1,364 @@
+// Stream handler + HTTP app end to end, with providers answered from fixtures
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createStatusio } from "../lib/addon.js";
+import { createServer } from "../lib/server.js";
+import { createSealer } from "../lib/sealed.js";
+import { createHistory } from "../lib/history.js";
+import { listProviders } from "../providers/index.js";
+import {
+  loadFixture,
+  responseFrom,
+  routedFetch,
+  matchSnapshot,
+} from "./helpers.js";
+
+// ENV tokens on the machine running the tests must not leak in
+for (const p of listProviders()) delete process.env[p.credential.env];
+
+const FIXTURE_ROUTES = {
+  "api.real-debrid.com": loadFixture("realdebrid", "premium_iso"),
+  "api.alldebrid.com": loadFixture("alldebrid", "premium"),
+  "premiumize.me": loadFixture("premiumize", "premium"),
+  "api.torbox.app": loadFixture("torbox", "success_false"),
+};
+
+const setup = (routes = FIXTURE_ROUTES) => {
+  const fetchImpl = routedFetch(routes);
+  return { fetchImpl, statusio: createStatusio({ fetchImpl }) };
+};
+
+const stream = (statusio, config, id = "tt0111161") =>
+  statusio.handleStream({ type: "movie", id, config });
+
+const BASE_CFG = { quotes: "off", max_streams: 10 };
+
+test("only IMDb ids get cards", async () => {
+  const { statusio, fetchImpl } = setup();
+  const out = await stream(statusio, { rd_token: "x" }, "kitsu:1");
+  assert.deepEqual(out, { streams: [] });
+  assert.equal(fetchImpl.calls.length, 0);
+});
+
+test("extra types and id prefixes are opt-in", async () => {
+  const { statusio, fetchImpl } = setup();
+  const cfg = { ...BASE_CFG, rd_token: "a" };
+  const anime = (config, id, type = "series") =>
+    statusio.handleStream({ type, id, config });
+
+  assert.equal((await anime(cfg, "kitsu:1:2")).streams.length, 0);
+  const wide = {
+    ...cfg,
+    stream_types: "movie, series, tv",
+    id_prefixes: "tt,kitsu:",
+  };
+  assert.equal((await anime(wide, "kitsu:1:2")).streams.length, 1);
+  assert.equal((await anime(wide, "mal:5")).streams.length, 0);
+  assert.equal((await anime(wide, "tt1", "channel")).streams.length, 0);
+  const any = { ...cfg, stream_types: "tv", id_prefixes: "*" };
+  assert.equal((await anime(any, "iptv:bbc1", "tv")).streams.length, 1);
+
+  // however many titles are opened, the provider is asked once
+  assert.equal(fetchImpl.calls.length, 1);
+});
+
+test("no tokens, no cards", async () => {
+  const { statusio } = setup();
+  assert.deepEqual(await stream(statusio, {}), { streams: [] });
+});
+
+test("one card per provider, linked to its renew page", async () => {
+  const { statusio } = setup();
+  const cfg = { ...BASE_CFG, rd_token: "a", ad_key: "b", pm_key: "c" };
+  const { streams } = await stream(statusio, cfg);
+  assert.equal(streams.length, 3);
+  assert.deepEqual(
+    streams.map((s) => s.url),
+    [
+      "https://real-debrid.com/premium",
+      "https://alldebrid.com/offer/",
+      "https://www.premiumize.me/premium",
+    ]
+  );
+  assert.ok(streams.every((s) => s.behaviorHints.notWebReady));
+  assert.match(streams[0].description, /Service: Real-Debrid\n/);
+  assert.match(streams[0].description, /User: @rduser\n/);
+  assert.match(streams[0].description, /Expires: 2099-01-01\n/);
+});
+
+test("config arrives as a JSON string too", async () => {
+  const { statusio } = setup();
+  const { streams } = await stream(
+    statusio,
+    JSON.stringify({ ...BASE_CFG, rd_token: "a" })
+  );
+  assert.equal(streams.length, 1);
+});
+
+test("failed provider gets an error card unless hidden", async () => {
+  const { statusio } = setup();
+  const cfg = { ...BASE_CFG, rd_token: "a", tb_token: "bad" };
+  const shown = await stream(statusio, cfg);
+  assert.equal(shown.streams.length, 2);
+  matchSnapshot("stream-error-card", shown.streams[1].description);
+
+  const hidden = await stream(statusio, { ...cfg, error_cards: "hide" });
+  assert.equal(hidden.streams.length, 1);
+});
+
+test("summary mode returns a single card", async () => {
+  const { statusio } = setup();
+  const cfg = {
+    ...BASE_CFG,
+    rd_token: "a",
+    tb_token: "bad",
+    display_mode: "summary",
+  };
+  const { streams } = await stream(statusio, cfg);
+  assert.equal(streams.length, 1);
+  const lines = streams[0].description.split("\n");
+  assert.match(lines[0], /Overall: OK$/);
+  assert.match(lines[1], /^🟢 Real-Debrid: \d+d \(2099-01-01\)$/);
+  assert.equal(lines[2], "⚠️ TorBox: Invalid or expired token");
+});
+
+test("max_streams caps the number of cards", async () => {
+  const { statusio } = setup();
+  const cfg = { quotes: "off", rd_token: "a", ad_key: "b", pm_key: "c" };
+  assert.equal((await stream(statusio, cfg)).streams.length, 3);
+  const capped = await stream(statusio, { ...cfg, max_streams: 2 });
+  assert.equal(capped.streams.length, 2);
+});
+
+test("several accounts per provider are labeled", async () => {
+  const { statusio, fetchImpl } = setup();
+  const cfg = { ...BASE_CFG, rd_token: "Mom: a, Dad: b" };
+  const { streams } = await stream(statusio, cfg);
+  assert.equal(streams.length, 2);
+  assert.match(streams[0].description, /Real-Debrid \(Mom\)/);
+  assert.match(streams[1].description, /Real-Debrid \(Dad\)/);
+  const auth = fetchImpl.calls.map((c) => c.init.headers.Authorization);
+  assert.deepEqual(auth.sort(), ["Bearer a", "Bearer b"]);
+});
+
+test("results are cached per account", async () => {
+  const { statusio, fetchImpl } = setup();
+  const cfg = { ...BASE_CFG, rd_token: "a" };
+  await stream(statusio, cfg);
+  await stream(statusio, cfg);
+  assert.equal(fetchImpl.calls.length, 1);
+  await stream(statusio, { ...cfg, rd_token: "other" });
+  assert.equal(fetchImpl.calls.length, 2);
+});
+
+test("demo mode never touches the network", async () => {
+  const { statusio, fetchImpl } = setup();
+  const { streams } = await stream(statusio, {
+    ...BASE_CFG,
+    demo_mode: "some_off",
+  });
+  assert.ok(streams.length > 3);
+  assert.equal(fetchImpl.calls.length, 0);
+});
+
+test("a renewal shows on the card and the board", async () => {
+  const history = createHistory();
+  const rdUntil = (iso) => () =>
+    responseFrom({
+      body: { username: "rduser", type: "premium", expiration: iso },
+    });
+  const cfg = { ...BASE_CFG, rd_token: "a" };
+  const before = createStatusio({
+    history,
+    fetchImpl: routedFetch({ "real-debrid": rdUntil("2099-01-01T00:00:00Z") }),
+  });
+  const first = await stream(before, cfg);
+  assert.doesNotMatch(first.streams[0].description, /Renewed/);
+
+  // a new instance (empty results cache) sharing the history store
+  const after = createStatusio({
+    history,
+    fetchImpl: routedFetch({ "real-debrid": rdUntil("2099-01-31T00:00:00Z") }),
+  });
+  const { streams } = await stream(after, cfg);
+  const today = new Date().toISOString().slice(0, 10);
+  assert.match(
+    streams[0].description,
+    new RegExp(`\n🔄 Renewed \\+30d on ${today}$`)
+  );
+  const { meta } = await after.handleMeta({
+    type: "other",
+    id: "statusio:realdebrid:1",
+    config: cfg,
+  });
+  assert.match(meta.description, /📜 History\n• Renewed \+30d/);
+});
+
+// ----------------------------- Board (catalog + meta) ----------------------
+const board = (statusio, config) =>
+  statusio.handleCatalog({ type: "other", id: "statusio-accounts", config });
+
+test("board lists every account, failed ones included", async () => {
+  const { statusio } = setup();
+  const cfg = { ...BASE_CFG, rd_token: "Mom: a, Dad: b", tb_token: "bad" };
+  const { metas } = await board(statusio, cfg);
+  assert.deepEqual(
+    metas.map((m) => [m.id, m.name]),
+    [
+      ["statusio:realdebrid:1", "Real-Debrid (Mom)"],
+      ["statusio:realdebrid:2", "Real-Debrid (Dad)"],
+      ["statusio:torbox:1", "TorBox"],
+    ]
+  );
+  assert.match(metas[0].releaseInfo, /^🟢 \d+d$/);
+  assert.equal(metas[2].releaseInfo, "⚠️ Error");
+  assert.ok(metas.every((m) => m.type === "other"));
+  assert.deepEqual(await board(statusio, {}), { metas: [] });
+});
+
+test("meta page shows the full card with usage and a renew link", async () => {
+  const { statusio } = setup();
+  const cfg = { ...BASE_CFG, rd_token: "a" };
+  const { meta } = await statusio.handleMeta({
+    type: "other",
+    id: "statusio:realdebrid:1",
+    config: cfg,
+  });
+  assert.equal(meta.name, "Real-Debrid");
+  assert.match(meta.description, /User: @rduser\n/);
+  assert.match(meta.description, /🎁 Points: 1,200/);
+  assert.doesNotMatch(meta.description, /💬/);
+  assert.equal(meta.website, "https://real-debrid.com/premium");
+  assert.equal(meta.links[0].url, "https://real-debrid.com/premium");
+
+  const missing = await statusio.handleMeta({
+    type: "other",
+    id: "statusio:realdebrid:2",
+    config: cfg,
+  });
+  assert.deepEqual(missing, { meta: null });
+});
+
+test("board item streams its own card, even in summary mode", async () => {
+  const { statusio } = setup();
+  const cfg = {
+    ...BASE_CFG,
+    rd_token: "a",
+    tb_token: "bad",
+    display_mode: "summary",
+  };
+  const { streams } = await stream(statusio, cfg, "statusio:torbox:1");
+  assert.equal(streams.length, 1);
+  assert.match(streams[0].description, /^🤝 Service: TorBox\n⚠️ Error/);
+  assert.equal(streams[0].url, "https://torbox.app/subscription");
+});
+
+// ----------------------------- HTTP app ------------------------------------
+let server;
+let base;
+const sealer = createSealer("test-secret");
+
+before(async () => {
+  const { statusio } = setup();
+  const app = createServer(statusio, { sealer });
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const seg = (cfg) => encodeURIComponent(JSON.stringify(cfg));
+
+test("HTTP: manifest, stream and JSON status routes", async () => {
+  const manifest = await (await fetch(`${base}/manifest.json`)).json();
+  assert.equal(manifest.name, "Statusio");
+  assert.deepEqual(
+    manifest.resources.map((r) => r.name || r),
+    ["catalog", "meta", "stream"]
+  );
+  assert.equal(manifest.catalogs[0].name, "My Debrid Accounts");
+
+  const cfg = seg({ ...BASE_CFG, rd_token: "a" });
+  const res = await fetch(`${base}/${cfg}/stream/movie/tt0111161.json`);
+  assert.equal((await res.json()).streams.length, 1);
+
+  const catalog = `${base}/${cfg}/catalog/other/statusio-accounts.json`;
+  const cat = await fetch(catalog);
+  assert.equal((await cat.json()).metas[0].id, "statusio:realdebrid:1");
+
+  const status = await (await fetch(`${base}/${cfg}/api/status`)).json();
+  assert.equal(status.results[0].username, "rduser");
+  assert.equal(status.results[0].status.band, "ok");
+});
+
+test("HTTP: /api/history lists each account's events", async () => {
+  const cfg = seg({ ...BASE_CFG, rd_token: "a" });
+  const body = await (await fetch(`${base}/${cfg}/api/history`)).json();
+  assert.equal(body.accounts.length, 1);
+  assert.equal(body.accounts[0].id, "realdebrid");
+  assert.equal(body.accounts[0].points.length, 1);
+  assert.deepEqual(body.accounts[0].events, []);
+  assert.equal(body.accounts[0].renewals, 0);
+});
+
+test("HTTP: calendar feed for an install", async () => {
+  const cfg = seg({ ...BASE_CFG, rd_token: "a" });
+  const res = await fetch(`${base}/${cfg}/calendar.ics`);
+  assert.match(res.headers.get("content-type"), /^text\/calendar/);
+  const ics = await res.text();
+  assert.match(ics, /\r\nDTSTART;VALUE=DATE:20990101\r\n/);
+  assert.match(ics, /\r\nSUMMARY:Real-Debrid expires\r\n/);
+  assert.equal(ics.match(/BEGIN:VALARM/g).length, 2);
+});
+
+test("HTTP: a configured install's manifest lists its coverage", async () => {
+  const cfg = seg({
+    stream_types: "movie,series,anime",
+    id_prefixes: "tt,mal:",
+  });
+  const manifest = await (await fetch(`${base}/${cfg}/manifest.json`)).json();
+  const stream = manifest.resources.find((r) => r.name === "stream");
+  assert.deepEqual(stream.types, ["movie", "series", "anime", "other"]);
+  assert.deepEqual(stream.idPrefixes, ["tt", "mal:", "statusio:"]);
+  assert.equal(manifest.behaviorHints.configurable, undefined);
+
+  const any = seg({ id_prefixes: "*" });
+  const open = await (await fetch(`${base}/${any}/manifest.json`)).json();
+  const openStream = open.resources.find((r) => r.name === "stream");
+  assert.equal(openStream.idPrefixes, undefined);
+  assert.equal(open.idPrefixes, undefined);
+});
+
+test("HTTP: sealed configs open, tampered ones are rejected", async () => {
+  const blob = sealer.seal({ ...BASE_CFG, rd_token: "a" });
+  const ok = await fetch(`${base}/${blob}/stream/movie/tt0111161.json`);
+  assert.equal((await ok.json()).streams.length, 1);
+
+  const tampered = blob.slice(0, -2) + (blob.endsWith("AA") ? "BB" : "AA");
+  const bad = await fetch(`${base}/${tampered}/stream/movie/tt0111161.json`);
+  assert.equal(bad.status, 400);
+});
+
+test("HTTP: a sealed link's configure page never shows its secrets", async () => {
+  const secrets = {
+    rd_token: "SUPERSECRETTOKEN123",
+    rd_client_secret: "CLIENTSECRET456",
+    rd_refresh_token: "REFRESH789",
+    tb_token: "TORBOXSECRET",
+    access_key: "ACCESSKEY000",
+  };
+  const blob = sealer.seal({ ...secrets, warn_days: "9" });
+  const res = await fetch(`${base}/${blob}/configure`);
+  assert.equal(res.status, 200);
+  const html = await res.text();
+  for (const value of Object.values(secrets))
+    assert.ok(!html.includes(value), `${value} leaked`);
+  assert.match(html, /"warn_days":"9"/);
+  assert.match(html, /Enter them again/);
+
+  // a plain JSON link is readable anyway, so its page stays prefilled
+  const plain = seg({ rd_token: "visible" });
+  const page = await (await fetch(`${base}/${plain}/configure`)).text();
+  assert.match(page, /"rd_token":"visible"/);
+});